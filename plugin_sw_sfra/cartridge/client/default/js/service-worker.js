@@ -2,15 +2,34 @@
  * Main service worker script.
  *
  * This service worker handles:
- * - Caching AJAX responses and page fragments defined in configuration.
- * - Showing an offline page when the network is unavailable.
- * - Caching static assets such as images, fonts, JS, and CSS.
- * - Cache cleanup using URL triggers.
- * - Fast updates using skipWaiting and clients.claim.
+ * - Caching AJAX responses and page fragments defined in configuration, refusing those that carry session state.
+ * - Showing an offline page when the network is unavailable, or a saved copy of the requested page.
+ * - Caching static assets such as images, fonts, JS, and CSS, and precaching the main ones on install.
+ * - Keeping each kind of content in its own cache, bounded by LRU limits and the storage quota.
+ * - Cache cleanup using URL triggers and the X-SW-Invalidate response header, announced to every open tab.
+ * - Fast updates using skipWaiting and clients.claim, or a "new version available" prompt.
+ * - Queuing cart/wishlist actions made offline and replaying them via Background Sync.
+ * - Showing localized Web Push notifications that deep-link into the storefront.
+ * - Sampled hit/miss telemetry, reported to ServiceWorker-Telemetry.
+ * - A postMessage command protocol for storefront pages (see sw/helpers/messageTypes.js).
  * - Basic auth fallback support for browser issues (e.g., Chrome bug).
  */
 
-import { createStream, X_SF_CC_SITEID, X_SF_CC_REQUESTLOCALE } from './sw/helpers/streamHelper';
+import { createStream, FALLBACK_CLIENT, X_SF_CC_SITEID, X_SF_CC_REQUESTLOCALE } from './sw/helpers/streamHelper';
+import { respondWithStrategy, CACHE_FIRST, NETWORK_ONLY } from './sw/helpers/strategyHelper';
+import { CACHED_AT_HEADER, evictEntries, parseCacheKey, parseInvalidateHeader } from './sw/helpers/cacheHelper';
+import { withValidators } from './sw/helpers/httpCacheHelper';
+import { buildCacheKey, buildStoreKey, updateDimensions, restoreDimensions } from './sw/helpers/cacheKeyHelper';
+import { isHandledNavigation } from './sw/helpers/routeHelper';
+import { isSavedPage, matchSavedPage, savePage } from './sw/helpers/savedPageHelper';
+import { PRECACHE_NAME, precacheAssets, precacheParts, prunePrecache, matchPrecache } from './sw/helpers/precacheHelper';
+import { recordEvent, TELEMETRY_EVENTS } from './sw/helpers/telemetryHelper';
+import { CACHE_CATEGORIES, getCacheName, getCacheNames, pruneEntryRecords } from './sw/helpers/storageHelper';
+import { MESSAGE_TYPES, EVENT_TYPES, CACHE_SYNC_CHANNEL } from './sw/helpers/messageTypes';
+import { listRefusals } from './sw/helpers/safetyHelper';
+import { buildNotification, openDeepLink } from './sw/helpers/notificationHelper';
+import { deleteDatabase } from './sw/helpers/idbHelper';
+import { isQueueableRequest, enqueueRequest, replayQueue, scheduleReplay, SYNC_TAG } from './sw/helpers/syncQueueHelper';
 
 // These values are injected at build time
 self.buildSuitePreparedData = {
@@ -19,6 +38,13 @@ self.buildSuitePreparedData = {
 // Generate cache name as code version + BE cache version. We need it to properly invalidate it on each build or Demandware cache reset.
 const CACHE_ID = self.buildSuitePreparedData.codeVersion + '_' + self.serverPreparedData.cacheVersion;
 const OFFLINE_URL = self.serverPreparedData.offlineUrl;
+const SHELL_CACHE = getCacheName(CACHE_ID, CACHE_CATEGORIES.SHELL);
+const FRAGMENTS_CACHE = getCacheName(CACHE_ID, CACHE_CATEGORIES.FRAGMENTS);
+const AJAX_CACHE = getCacheName(CACHE_ID, CACHE_CATEGORIES.AJAX);
+const STATIC_CACHE = getCacheName(CACHE_ID, CACHE_CATEGORIES.STATIC);
+const PAGES_CACHE = getCacheName(CACHE_ID, CACHE_CATEGORIES.PAGES);
+// Caches holding `SiteId.Locale.Suffix` entries, i.e. the ones URL triggers and commands invalidate
+const KEYED_CACHES = [FRAGMENTS_CACHE, AJAX_CACHE];
 
 /**
  * Create a lookup table for URLs that trigger cache invalidation.
@@ -83,6 +109,7 @@ function isCacheableStatic(request) {
 
 /**
  * Add skip parameters to fetch request to exclude cached page parts.
+ * Only used when the navigation was not preloaded (see `configureNavigationPreload`).
  * @param {Request} originalRequest 
  * @returns {Request} New request with skip parameters.
  */
@@ -157,55 +184,306 @@ function isSameOrigin(url) {
 }
 
 /**
- * Asynchronously deletes all outdated caches within the current service worker scope.
+ * Asynchronously deletes all outdated caches within the current service worker scope,
+ * together with the LRU metadata of their entries.
  * This ensures only the active cache version is kept and used by the service worker.
+ * The precache is kept; its outdated assets are removed by `prunePrecache`.
  * @returns {Promise} - A promise that resolves once all old cache entries have been removed.
  */
 async function clearOldCaches() {
+    const current = getCacheNames(CACHE_ID).concat(PRECACHE_NAME);
     const names = await caches.keys();
-    return Promise.all(names.filter(name => name !== CACHE_ID).map(n => caches.delete(n)));
+
+    await Promise.all(names.filter(name => current.indexOf(name) === -1).map(n => caches.delete(n)));
+    await pruneEntryRecords(current);
+}
+
+/**
+ * Deletes everything the worker stored: every cache, the precache included, and the IndexedDB
+ * database with the offline queue, telemetry, key dimensions and refusals.
+ * Used by the kill switch, so an unregistered worker leaves nothing behind.
+ * @returns {Promise} - A promise that resolves once all storage is removed.
+ */
+async function clearAllStorage() {
+    const names = await caches.keys();
+
+    await Promise.all(names.map(name => caches.delete(name)));
+    // A database that cannot be deleted must not keep the worker registered
+    await deleteDatabase().catch(() => {});
+}
+
+/**
+ * Checks whether navigations are preloaded: the browser supports Navigation Preload and
+ * `navigationPreload` is on in the configuration.
+ * @returns {boolean} True if navigations are preloaded.
+ */
+function isNavigationPreloaded() {
+    return 'navigationPreload' in self.registration && !!self.serverPreparedData.navigationPreload;
 }
 
 /**
- * Disables the Navigation Preload feature for the service worker.
- * This is necessary because preloading fetches the original URL before we can append custom parameters,
- * which can result in unnecessary or duplicate network requests.
+ * Enables Navigation Preload, so a navigation request starts while the worker boots. Instead of skip
+ * parameters in the URL, the preload request carries a `Service-Worker-Navigation-Preload` header
+ * listing the cached parts the worker fills in, and the layouts render their placeholders
+ * (see scripts/helpers/swPartHelper.js). Disabled when `navigationPreload` is off; browsers
+ * without preload keep using skip parameters.
  * For reference: https://developers.google.com/web/updates/2017/02/navigation-preload
  * @returns {void}
  */
-async function disableNavigationPreload() {
-    if ('navigationPreload' in self.registration) {
+async function configureNavigationPreload() {
+    if (!('navigationPreload' in self.registration)) return;
+
+    if (!isNavigationPreloaded()) {
         await self.registration.navigationPreload.disable();
+        return;
     }
+
+    const suffixes = (self.serverPreparedData.cachedParts || [])
+        .filter(part => part.skipParameter)
+        .map(part => part.cacheSuffix);
+
+    await self.registration.navigationPreload.enable();
+    await self.registration.navigationPreload.setHeaderValue(suffixes.join(',') || 'none');
 }
 
 /**
- * Caches the offline fallback page during service worker installation.
- * The `{ cache: 'reload' }` option ensures the page is fetched directly from the network,
- * bypassing any existing HTTP cache.
+ * Caches the offline fallback pages during service worker installation.
+ * The static last-resort page is stored under its URL, and each localized page under a
+ * `SiteId.Locale.offline` key, the same way cached parts are keyed.
+ * The `{ cache: 'reload' }` option ensures the pages are fetched directly from the network,
+ * bypassing any existing HTTP cache. A localized page that fails to load does not abort the install.
+ * The pages live in the shell cache, which has no limits, so they are never evicted.
  * @returns {void}
  */
 async function precacheOfflinePage() {
-    const cache = await caches.open(CACHE_ID);
+    const cache = await caches.open(SHELL_CACHE);
     await cache.add(new Request(OFFLINE_URL, { cache: 'reload' }));
+
+    await Promise.all((self.serverPreparedData.offlinePages || []).map(async (page) => {
+        try {
+            const response = await fetch(new Request(page.url, { cache: 'reload' }));
+            if (response.ok) {
+                await cache.put(`${page.siteId}.${page.locale}.offline`, response);
+            }
+        } catch (err) {
+            // The static offline page remains as a fallback for this locale
+        }
+    }));
+}
+
+/**
+ * Stores the precache manifest published by swConfig.js: the main bundles, logos and fonts, which
+ * are only downloaded when they changed since the previous version, and the listed page parts
+ * for the site and locale the worker is installed from.
+ * @returns {Promise} Resolves once the manifest is cached; failing entries are skipped.
+ */
+async function precacheManifest() {
+    const manifest = self.serverPreparedData.precache || {};
+    const parts = (self.serverPreparedData.cachedParts || [])
+        .filter(part => !part.parameter && (manifest.parts || []).indexOf(part.cacheSuffix) !== -1);
+
+    await Promise.all([
+        precacheAssets(manifest.assets || []),
+        precacheParts(FRAGMENTS_CACHE, parts, self.serverPreparedData.urlSiteId, self.serverPreparedData.urlLocale)
+    ]);
 }
 
 /**
- * Compares the current request URL (from the fetch event) against a list of predefined cache-cleaning trigger URLs.
+ * Picks the offline page variant for a navigation that failed.
+ * The site and locale are taken from the request URL when it contains them, then from the
+ * last successful navigation, and finally from the configuration the worker was installed with.
+ * Falls back to the static offline page when no localized copy is cached.
+ * @param {string} requestUrl - URL of the failed navigation.
+ * @returns {Promise<Response>} - The cached offline page.
+ */
+async function getOfflineResponse(requestUrl) {
+    const cache = await caches.open(SHELL_CACHE);
+    const pages = self.serverPreparedData.offlinePages || [];
+    const urlMatch = pages.find(page =>
+        (requestUrl.indexOf(`-${page.siteId}-`) !== -1 || requestUrl.indexOf(`/${page.siteId}/`) !== -1) &&
+        (requestUrl.indexOf(`/${page.locale}/`) !== -1 || requestUrl.indexOf(`lang=${page.locale}`) !== -1));
+    const lastSeen = self.lastNavigationContext || {};
+    const candidates = [
+        urlMatch,
+        { siteId: lastSeen.siteId, locale: lastSeen.locale },
+        { siteId: self.serverPreparedData.urlSiteId, locale: self.serverPreparedData.urlLocale }
+    ];
+
+    for (const candidate of candidates) {
+        if (candidate && candidate.siteId && candidate.locale) {
+            const localized = await cache.match(`${candidate.siteId}.${candidate.locale}.offline`);
+            if (localized) return localized;
+        }
+    }
+
+    return cache.match(OFFLINE_URL);
+}
+
+/**
+ * Evicts `SiteId.Locale.Suffix` entries of the given suffixes and tells open tabs about it.
+ * @param {Array} suffixes - Cache suffixes to evict.
+ * @param {object} [scope] - Optional `{ siteId, locale }` limiting the eviction; all sites and locales otherwise.
+ * @returns {Promise<Array>} - The suffixes that had at least one entry evicted.
+ */
+async function invalidateSuffixes(suffixes, scope) {
+    const evicted = await evictEntries(KEYED_CACHES, suffixes, scope);
+
+    await broadcastInvalidation(suffixes, scope);
+
+    return evicted;
+}
+
+/**
+ * Compares the given request URL against a list of predefined cache-cleaning trigger URLs.
  * Each cache key follows the pattern: SiteId.Locale.Suffix. When a match is found, the corresponding cache entries are cleared
- * for all Site IDs and locales.
- * @param {FetchEvent} fetchEvent - The fetch event containing the request to check.
- * @returns {object} - An object representing key-value pairs used for cache cleanup.
+ * for all Site IDs and locales, and open tabs are told to refresh what shows them.
+ * @param {string} requestUrl - The URL of the request to check.
+ * @returns {Promise} - Resolves once matching cache entries are removed.
  */
-async function cleanTriggeredCache(fetchEvent) {    
-    const shortUrl = fetchEvent.request.url.replace(/(Sites-[\w\-_]+-Site\/[\w]{2,7}\/)/, '');
+async function cleanTriggeredCache(requestUrl) {
+    const shortUrl = requestUrl.replace(/(Sites-[\w\-_]+-Site\/[\w]{2,7}\/)/, '');
     const trigger = Object.keys(self.cacheCleanUrls).find(u => shortUrl.indexOf(u) !== -1);
     const suffixes = self.cacheCleanUrls[trigger] || [];
-    const cache = await caches.open(CACHE_ID);
-    const keys = await cache.keys();
 
-    const toDelete = keys.filter(entry => suffixes.some(s => entry.url.indexOf('.' + s) !== -1));
-    await Promise.all(toDelete.map(k => cache.delete(k)));
+    if (!suffixes.length) return;
+
+    await invalidateSuffixes(suffixes);
+}
+
+/**
+ * Evicts the cache suffixes listed in the response's `X-SW-Invalidate` header
+ * (see scripts/middleware/swInvalidate.js). Entries are evicted for the site and locale the
+ * response was rendered for, or for all of them when the header says `scope=all`; open tabs of
+ * that scope are told to refresh what shows them.
+ * Redirects fetched with `redirect: 'manual'` are opaque, so their headers cannot be read.
+ * @param {Response} response - A network response.
+ * @returns {Promise} - Resolves once matching cache entries are removed.
+ */
+async function applyInvalidationHeader(response) {
+    const invalidation = parseInvalidateHeader(response.headers);
+
+    if (!invalidation) return;
+
+    const scope = invalidation.allSites ? null : {
+        siteId: response.headers.get(X_SF_CC_SITEID),
+        locale: response.headers.get(X_SF_CC_REQUESTLOCALE)
+    };
+
+    await invalidateSuffixes(invalidation.suffixes, scope);
+}
+
+/**
+ * Sends a message to every open tab controlled by this service worker.
+ * @param {object} data - The message payload.
+ * @returns {Promise} Resolves once the message is posted.
+ */
+async function postMessageToClients(data) {
+    const clientList = await self.clients.matchAll();
+    clientList.forEach(client => client.postMessage(data));
+}
+
+/**
+ * Tells every open tab that cache suffixes were invalidated, so sw/cache-sync.js can reload the
+ * elements showing them (e.g. the minicart). All suffixes are announced, whether or not entries were
+ * cached: a tab may show content it never loaded through the worker.
+ * Uses a BroadcastChannel, which also reaches tabs the worker does not control yet, and falls back to
+ * `postMessage` to the controlled tabs.
+ * @param {Array} suffixes - The invalidated cache suffixes.
+ * @param {object} [scope] - `{ siteId, locale }` the invalidation was limited to; all sites and locales otherwise.
+ * @returns {Promise} Resolves once the event is sent.
+ */
+async function broadcastInvalidation(suffixes, scope) {
+    const message = {
+        type: EVENT_TYPES.CACHE_INVALIDATED,
+        suffixes,
+        siteId: (scope && scope.siteId) || null,
+        locale: (scope && scope.locale) || null
+    };
+
+    if (!suffixes.length) return;
+
+    if (typeof BroadcastChannel === 'undefined') {
+        await postMessageToClients(message);
+        return;
+    }
+
+    const channel = new BroadcastChannel(CACHE_SYNC_CHANNEL);
+    channel.postMessage(message);
+    channel.close();
+}
+
+/**
+ * Replays the offline queue. After each replayed request the URL triggers are applied
+ * so that cached minicart/wishlist entries are invalidated, and open tabs are told the result
+ * (see sw/offline-queue.js).
+ * @returns {Promise<boolean>} True when the queue is empty afterwards.
+ */
+function replayQueuedRequests() {
+    const syncConfig = self.serverPreparedData.syncQueue || {};
+
+    return replayQueue({
+        csrfUrl: syncConfig.csrfUrl,
+        maxAge: syncConfig.maxAge,
+        onReplayed: async (url, response) => {
+            await cleanTriggeredCache(url);
+            await postMessageToClients({
+                type: EVENT_TYPES.SYNC_REPLAYED,
+                url,
+                ok: response.ok,
+                status: response.status
+            });
+        }
+    });
+}
+
+/**
+ * Sends a mutating request (e.g. add to cart) to the network. When the network is down,
+ * the request is stored in IndexedDB and replayed once connectivity returns, and the page
+ * receives a 202 JSON response with `queued: true`. The response carries the localized
+ * `msg.queue.queued` text in `message` and `msg`, like the answers of Cart-AddProduct and
+ * Wishlist-AddProduct, so the storefront's own handlers show it; it has no cart totals, so the
+ * minicart count is left as it is until the replay.
+ * @param {FetchEvent} fetchEvent - The fetch event for a queueable request.
+ * @returns {Response} - The network response, or a "queued" response while offline.
+ */
+async function respondToQueueable(fetchEvent) {
+    const backup = fetchEvent.request.clone();
+
+    try {
+        const response = await fetch(fetchEvent.request);
+        fetchEvent.waitUntil(cleanTriggeredCache(backup.url));
+        fetchEvent.waitUntil(applyInvalidationHeader(response));
+
+        return response;
+    } catch (err) {
+        const syncConfig = self.serverPreparedData.syncQueue || {};
+
+        await enqueueRequest(backup);
+        await scheduleReplay(replayQueuedRequests, syncConfig.retryInterval);
+
+        const message = syncConfig.queuedMessage || '';
+
+        return new Response(JSON.stringify({ error: false, success: true, queued: true, message, msg: message }), {
+            status: 202,
+            headers: new Headers({ 'Content-Type': 'application/json' })
+        });
+    }
+}
+
+/**
+ * Activates a worker waiting in "prompt" update mode when the navigating tab is the only open one.
+ * With several tabs open, the others still run on the active worker, so the update is left
+ * to the banner the shopper accepts.
+ * @returns {Promise<void>} Resolves once the waiting worker was asked to activate, if at all.
+ */
+async function handOverToWaitingWorker() {
+    const waitingWorker = self.registration.waiting;
+    if (!waitingWorker) return;
+
+    const windowClients = await self.clients.matchAll({ type: 'window' });
+    if (windowClients.length <= 1) {
+        waitingWorker.postMessage({ type: MESSAGE_TYPES.SKIP_WAITING });
+    }
 }
 
 /**
@@ -213,7 +491,9 @@ async function cleanTriggeredCache(fetchEvent) {
  * the network response with cached partial content (e.g., header/footer).
  * Site ID and locale are extracted from response headers and used to determine cache keys.
  * The required cache parts and placeholders are defined in `serviceWorkerConfig.js` and inserted during runtime.
- * If the network is unavailable, the pre-cached offline page is returned instead.
+ * Composed documents of the `savedPages` routes are stored for offline use.
+ * If the network is unavailable, the saved copy of the page is returned with an offline banner,
+ * or the pre-cached offline page for the current site and locale when no copy is saved.
  * Note: A `fetch()` response with a 4xx or 5xx status will not trigger a `catch()` block.
  * See more:
  * [Offline fallback](https://web.dev/offline-fallback-page/)
@@ -222,71 +502,301 @@ async function cleanTriggeredCache(fetchEvent) {
  * @returns {Response} - A complete HTML response from either the network or offline cache.
  */
 async function respondToNavigation(fetchEvent) {    
+    fetchEvent.waitUntil(handOverToWaitingWorker());
+
     try {
-        await cleanTriggeredCache(fetchEvent);
-        const modifiedRequest = await addSkipParamsToRequest(fetchEvent.request);
-        let networkResponse = await fetch(modifiedRequest);
+        const networkResponse = await fetchEvent.preloadResponse ||
+            await fetch(await addSkipParamsToRequest(fetchEvent.request));
+
+        // Evicted once the server has handled the request, also when it redirects (e.g. after logout)
+        await cleanTriggeredCache(fetchEvent.request.url);
 
         if (networkResponse.status === 401) return getBasicAuthFallbackResponse();
         if ([301, 302].indexOf(networkResponse.status) !== -1 || networkResponse.type === 'opaqueredirect') return networkResponse;
 
-        return createStream(networkResponse, self.serverPreparedData.cachedParts, CACHE_ID);
+        // Evict before the parts are looked up, so the stream already uses fresh ones
+        await applyInvalidationHeader(networkResponse);
+        fetchEvent.waitUntil(updateDimensions(networkResponse.headers));
+        self.lastNavigationContext = {
+            siteId: networkResponse.headers.get(X_SF_CC_SITEID),
+            locale: networkResponse.headers.get(X_SF_CC_REQUESTLOCALE)
+        };
+
+        const response = createStream(networkResponse, self.serverPreparedData.cachedParts, FRAGMENTS_CACHE,
+            promise => fetchEvent.waitUntil(promise));
+
+        if (isSavedPage(fetchEvent.request.url, networkResponse)) {
+            fetchEvent.waitUntil(savePage(PAGES_CACHE, fetchEvent.request.url, networkResponse, response.clone()));
+        }
+
+        return response;
     } catch (err) {
-        const cache = await caches.open(CACHE_ID);
-        return await cache.match(OFFLINE_URL);
+        fetchEvent.waitUntil(recordEvent('navigation', 'document', TELEMETRY_EVENTS.NETWORK_ERROR));
+
+        const saved = await matchSavedPage(PAGES_CACHE, fetchEvent.request.url);
+        if (saved) {
+            fetchEvent.waitUntil(recordEvent('navigation', 'document', TELEMETRY_EVENTS.STALE));
+            return saved;
+        }
+
+        fetchEvent.waitUntil(recordEvent('navigation', 'document', TELEMETRY_EVENTS.OFFLINE));
+
+        return getOfflineResponse(fetchEvent.request.url);
     }
 }
 
+/**
+ * Handles navigations excluded by `navigationRoutes` while Navigation Preload is on. The preload
+ * request already asked for placeholders, so they are filled in, but always from the network and
+ * never from the cache; a failing part is loaded by the page instead.
+ * Without a preload response, the navigation is sent to the network as it is.
+ * @param {FetchEvent} fetchEvent - The fetch event for an excluded navigation.
+ * @returns {Promise<Response>} - The network response.
+ */
+async function respondToExcludedNavigation(fetchEvent) {
+    const preloaded = await fetchEvent.preloadResponse;
+    const response = preloaded || await fetch(fetchEvent.request);
+
+    if (response.status === 401) return getBasicAuthFallbackResponse();
+    if (!preloaded || response.type === 'opaqueredirect' || [301, 302].indexOf(response.status) !== -1) return response;
+
+    await applyInvalidationHeader(response);
+
+    const parts = (self.serverPreparedData.cachedParts || []).map(part => ({
+        ...part,
+        strategy: NETWORK_ONLY,
+        fallback: [FALLBACK_CLIENT]
+    }));
+
+    return createStream(response, parts, FRAGMENTS_CACHE, promise => fetchEvent.waitUntil(promise));
+}
+
 /**
  * Handles "same-origin" fetch requests by returning either a cached response or fetching from the network.
- * If the request matches a configured cache rule, the service worker attempts to retrieve it from the cache.
- * If not found, it fetches the response from the network, caches it for future use, and then returns it.
+ * If the request matches a configured cache rule, the rule's `strategy` decides how the cache is used
+ * (cache-first, stale-while-revalidate, network-first or network-only).
+ * Cached entries older than the rule's `maxAge`, or without one, than the response's `Cache-Control`
+ * allows, are revalidated; `no-store` and `private` responses are not cached (see strategyHelper.js).
+ * Keys include the rule's `keyDimensions` (auth state, customer groups, currency), so a change in any of them is a miss.
  * @param {FetchEvent} fetchEvent - The fetch event for an AJAX or API request.
  * @param {object} config - Configuration object specifying how to cache the request.
  * @returns {Response} - The response retrieved from the cache or the network.
  */
 async function respondToAjax(fetchEvent, config) {
     if (config) {
-        const cache = await caches.open(CACHE_ID);
         const siteId = fetchEvent.request.headers.get(X_SF_CC_SITEID);
         const locale = fetchEvent.request.headers.get(X_SF_CC_REQUESTLOCALE);
-        const key = siteId + '.' + locale + '.' + config.cacheSuffix;
-        let cached = await cache.match(key);
-
-        if (cached) return cached;
 
-        cached = await fetch(fetchEvent.request);
-
-        if (cached && cached.ok) {
-            fetchEvent.waitUntil(cache.put(key, cached.clone()));
-        }
-        
-        return cached;
+        await restoreDimensions();
+
+        return respondWithStrategy(config.strategy, {
+            cacheName: AJAX_CACHE,
+            key: buildCacheKey(siteId, locale, config),
+            storeKey: response => buildStoreKey(siteId, locale, config, response),
+            maxAge: config.maxAge,
+            honorCacheHeaders: config.honorCacheHeaders,
+            inspectBody: true,
+            fetchFn: async (validators) => {
+                const response = await fetch(validators ? withValidators(fetchEvent.request, validators) : fetchEvent.request);
+                await applyInvalidationHeader(response);
+
+                return response;
+            },
+            waitUntil: promise => fetchEvent.waitUntil(promise),
+            onResult: outcome => fetchEvent.waitUntil(recordEvent('ajax', config.cacheSuffix, outcome))
+        });
     }
 
     return fetch(fetchEvent.request);
 }
 
+/**
+ * Passes other mutating same-origin requests (e.g. form posts of other cartridges) through to the network,
+ * applying the URL triggers of the request and the `X-SW-Invalidate` header of the response.
+ * @param {FetchEvent} fetchEvent - The fetch event for a same-origin request.
+ * @returns {Response} - The network response.
+ */
+async function respondToSameOrigin(fetchEvent) {
+    const response = await fetch(fetchEvent.request);
+
+    // Only once the server has handled the request, or other tabs would reload outdated content
+    fetchEvent.waitUntil(cleanTriggeredCache(fetchEvent.request.url));
+    fetchEvent.waitUntil(applyInvalidationHeader(response));
+
+    return response;
+}
+
 /**
  * Handles fetch requests for static resources (e.g., images, scripts, styles).
- * Tries to return the resource from cache first. If not available, fetches it from the network,
- * stores it in the cache for future use, and returns the network response.
+ * Uses the `staticStrategy` from the configuration, cache-first by default: the resource is returned
+ * from cache when available, otherwise fetched from the network and stored for future use.
+ * Without a rule `maxAge`, the response's `Cache-Control` decides how long a copy is used before it is revalidated.
+ * Assets of the precache manifest are served from the precache whatever the strategy, since their
+ * URLs change with every cache version.
  * For more on caching strategies, see:
  * [Caching files](https://developers.google.com/web/ilt/pwa/caching-files-with-service-worker),
  * [Network or cache](https://serviceworke.rs/strategy-network-or-cache.html)
- * @param {Request} request - The fetch event's request object for a static resource.
+ * @param {FetchEvent} fetchEvent - The fetch event for a static resource.
  * @returns {Response} - Cached or network response for the requested resource.
  */
-async function respondToStatic(request) {
-    const cache = await caches.open(CACHE_ID);
-    const cached = await cache.match(request);
-    if (cached) return cached;
-    const network = await fetch(request);
+async function respondToStatic(fetchEvent) {
+    const request = fetchEvent.request;
+    const precached = await matchPrecache(request);
 
-    if (network && network.ok) {
-        cache.put(request, network.clone());
+    if (precached) {
+        fetchEvent.waitUntil(recordEvent('static', request.destination || 'other', TELEMETRY_EVENTS.HIT));
+        return precached;
+    }
+
+    return respondWithStrategy(self.serverPreparedData.staticStrategy || CACHE_FIRST, {
+        cacheName: STATIC_CACHE,
+        key: request,
+        // Cross-origin assets are not revalidated: conditional headers would need a CORS preflight
+        fetchFn: validators => fetch(validators && isSameOrigin(request.url) ? withValidators(request, validators) : request),
+        waitUntil: promise => fetchEvent.waitUntil(promise),
+        onResult: outcome => fetchEvent.waitUntil(recordEvent('static', request.destination || 'other', outcome))
+    });
+}
+
+/**
+ * Removes cached entries on request of a storefront page.
+ * Without a suffix every cache is emptied except the shell cache, so the shopper keeps an offline fallback.
+ * @param {string} [cacheSuffix] - Limit the removal to one cache suffix (e.g. `MiniCartShow`).
+ * @returns {Promise<object>} - The number of deleted entries.
+ */
+async function clearCache(cacheSuffix) {
+    const cacheNames = cacheSuffix ? KEYED_CACHES : [FRAGMENTS_CACHE, AJAX_CACHE, STATIC_CACHE, PAGES_CACHE];
+    let deleted = 0;
+
+    await Promise.all(cacheNames.map(async (cacheName) => {
+        const cache = await caches.open(cacheName);
+        const keys = await cache.keys();
+        const toDelete = keys.filter((entry) => {
+            const key = parseCacheKey(entry.url);
+
+            return !cacheSuffix || (key && key.suffix === cacheSuffix);
+        });
+
+        deleted += toDelete.length;
+        await Promise.all(toDelete.map(k => cache.delete(k)));
+    }));
+
+    return { deleted };
+}
+
+/**
+ * Collects the current cache id, config version and the number of cached entries per category and suffix.
+ * Entries that are not keyed by suffix (static resources, the static offline page) are counted under their category name.
+ * @returns {Promise<object>} - Status information for the page.
+ */
+async function getStatus() {
+    const entries = {};
+    const categories = {};
+    let total = 0;
+
+    await Promise.all(Object.keys(CACHE_CATEGORIES).map(async (name) => {
+        const category = CACHE_CATEGORIES[name];
+        const cache = await caches.open(getCacheName(CACHE_ID, category));
+        const keys = await cache.keys();
+
+        categories[category] = keys.length;
+        total += keys.length;
+        keys.forEach((entry) => {
+            const key = parseCacheKey(entry.url);
+            const group = key ? key.suffix : category;
+            entries[group] = (entries[group] || 0) + 1;
+        });
+    }));
+
+    return {
+        cacheId: CACHE_ID,
+        configVersion: self.serverPreparedData.configVersion,
+        total,
+        categories,
+        entries
+    };
+}
+
+/**
+ * Lists every entry of the current cache version and of the precache, for the diagnostics page.
+ * @returns {Promise<Array>} - Entries `{ category, url, suffix, size, storedAt }`, where `suffix` is
+ * null for entries that are not keyed by suffix and `storedAt` is null when the entry carries no timestamp.
+ */
+async function listEntries() {
+    const entries = [];
+
+    const categories = Object.keys(CACHE_CATEGORIES).map(name => CACHE_CATEGORIES[name]).concat(PRECACHE_NAME);
+
+    await Promise.all(categories.map(async (category) => {
+        const cache = await caches.open(category === PRECACHE_NAME ? PRECACHE_NAME : getCacheName(CACHE_ID, category));
+        const keys = await cache.keys();
+
+        await Promise.all(keys.map(async (entry) => {
+            const response = await cache.match(entry);
+            if (!response) return;
+
+            const key = parseCacheKey(entry.url);
+            const storedAt = parseInt(response.headers.get(CACHED_AT_HEADER), 10);
+
+            entries.push({
+                category,
+                url: entry.url,
+                suffix: key ? key.suffix : null,
+                size: (await response.blob()).size,
+                storedAt: isNaN(storedAt) ? null : storedAt
+            });
+        }));
+    }));
+
+    return entries.sort((a, b) => a.url.localeCompare(b.url));
+}
+
+/**
+ * Executes a command received from a storefront page.
+ * - CLEAR_CACHE `{ cacheSuffix? }`: removes all entries, or those of one suffix.
+ * - GET_CONFIG: returns the cache id, the config received in `serverPreparedData` and the invalidation map.
+ * - GET_STATUS: returns the cache id, config version and entry counts per category and suffix.
+ * - INVALIDATE `{ url }` applies the URL triggers of that URL;
+ *   `{ cacheSuffixes, siteId?, locale? }` evicts the given suffixes, optionally for one site/locale only.
+ * - LIST_ENTRIES: returns every cached entry with its size and stored time.
+ * - LIST_REFUSALS: returns the last responses refused by the safety checks (see sw/helpers/safetyHelper.js).
+ * - SKIP_WAITING: activates a waiting service worker.
+ * @param {object} data - The message payload, `{ type, ...params }`.
+ * @returns {Promise<*>} - The command result.
+ */
+async function handleMessage(data) {
+    switch (data.type) {
+        case MESSAGE_TYPES.CLEAR_CACHE:
+            return clearCache(data.cacheSuffix);
+        case MESSAGE_TYPES.GET_CONFIG:
+            return {
+                cacheId: CACHE_ID,
+                config: self.serverPreparedData,
+                invalidationMap: self.cacheCleanUrls
+            };
+        case MESSAGE_TYPES.GET_STATUS:
+            return getStatus();
+        case MESSAGE_TYPES.INVALIDATE:
+            if (data.url) {
+                await cleanTriggeredCache(new URL(data.url, self.location).href);
+                return { invalidated: true };
+            }
+            return {
+                evicted: await invalidateSuffixes(data.cacheSuffixes || [], {
+                    siteId: data.siteId,
+                    locale: data.locale
+                })
+            };
+        case MESSAGE_TYPES.LIST_ENTRIES:
+            return listEntries();
+        case MESSAGE_TYPES.LIST_REFUSALS:
+            return listRefusals();
+        case MESSAGE_TYPES.SKIP_WAITING:
+            await self.skipWaiting();
+            return { skipped: true };
+        default:
+            throw new Error(`Unknown command: ${data.type}`);
     }
-    return network;
 }
 
 self.addEventListener('install', (event) => {
@@ -294,8 +804,8 @@ self.addEventListener('install', (event) => {
     if (self.serverPreparedData?.swEnabled === false) {
         event.waitUntil(
             (async () => {
-                // Clear all caches
-                clearOldCaches()
+                // Clear all caches and the database
+                await clearAllStorage();
 
                 // Unregister SW
                 await self.registration.unregister();
@@ -309,34 +819,87 @@ self.addEventListener('install', (event) => {
         );
         return; // Stop further activation
     } else {
-        event.waitUntil(precacheOfflinePage());
-        self.skipWaiting();
+        event.waitUntil(Promise.all([precacheOfflinePage(), precacheManifest()]));
+
+        // In "prompt" mode the new worker waits until the shopper accepts the update (SKIP_WAITING)
+        if (self.serverPreparedData.updateMode !== 'prompt') {
+            self.skipWaiting();
+        }
     }
 });
 
 self.addEventListener('activate', (event) => {
-    const sendPostMessage = messageStr => self.clients.matchAll()
-        .then(clientList => clientList.forEach(client =>
-            client.postMessage({ message: messageStr })));
-
-    event.waitUntil(sendPostMessage(CACHE_ID));
+    event.waitUntil(postMessageToClients({ message: CACHE_ID }));
 
-    event.waitUntil(disableNavigationPreload());
+    event.waitUntil(configureNavigationPreload());
+    event.waitUntil(prunePrecache((self.serverPreparedData.precache || {}).assets || []));
     clearOldCaches();
     self.clients.claim();
 });
 
+self.addEventListener('sync', (event) => {
+    if (event.tag !== SYNC_TAG) return;
+
+    // Rejecting lets the browser retry the sync later while requests remain queued
+    event.waitUntil(replayQueuedRequests().then((done) => {
+        if (!done) throw new Error('Offline queue replay incomplete');
+    }));
+});
+
+self.addEventListener('push', (event) => {
+    if (!event.data) return;
+
+    let payload;
+    try {
+        payload = event.data.json();
+    } catch (err) {
+        payload = { title: event.data.text() };
+    }
+
+    const { title, options } = buildNotification(payload, self.serverPreparedData.urlLocale);
+    event.waitUntil(self.registration.showNotification(title, options));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(openDeepLink(event.notification.data.url));
+});
+
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+    const port = event.ports && event.ports[0];
+
+    if (!data.type) return;
+
+    event.waitUntil(handleMessage(data)
+        .then(result => port && port.postMessage({ ok: true, result }))
+        .catch(err => port && port.postMessage({ ok: false, error: err.message })));
+});
+
 self.addEventListener('fetch', (event) => {
     const request = event.request;
     const ajaxConfig = getAjaxCacheConfig(event);
+    const syncConfig = self.serverPreparedData.syncQueue || {};
+
+    // Excluded navigations (checkout, account, payment callbacks) go straight to the network
+    if (request.mode === 'navigate' && !isHandledNavigation(request.url, self.serverPreparedData.navigationRoutes)) {
+        event.waitUntil(cleanTriggeredCache(request.url));
+        // A preloaded response may contain placeholders, so it still has to be composed
+        if (isNavigationPreloaded()) event.respondWith(respondToExcludedNavigation(event));
+        return;
+    }
 
-    if (isSameOrigin(request.url) && ajaxConfig) {
+    if (isSameOrigin(request.url) && isQueueableRequest(request, syncConfig.routes)) {
+        event.respondWith(respondToQueueable(event));
+    } else if (isSameOrigin(request.url) && ajaxConfig) {
         event.respondWith(respondToAjax(event, ajaxConfig));
-    } else if (request.mode === 'same-origin') {
-        event.waitUntil(cleanTriggeredCache(event));
     } else if (request.mode === 'navigate') {
         event.respondWith(respondToNavigation(event));
     } else if (isCacheableStatic(request)) {
-        event.respondWith(respondToStatic(request));
+        event.respondWith(respondToStatic(event));
+    } else if (isSameOrigin(request.url) && request.method !== 'GET') {
+        event.respondWith(respondToSameOrigin(event));
+    } else if (isSameOrigin(request.url)) {
+        event.waitUntil(cleanTriggeredCache(request.url));
     }
 });
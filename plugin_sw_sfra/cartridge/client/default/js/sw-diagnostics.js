@@ -0,0 +1,7 @@
+'use strict';
+
+var processInclude = require('base/util');
+
+$(document).ready(function () {
+    processInclude(require('./sw/diagnostics'));
+});
@@ -4,4 +4,9 @@ var processInclude = require('base/util');
 
 $(document).ready(function () {
     processInclude(require('./sw/service-worker-registration'));
+    processInclude(require('./sw/push-subscription'));
+    processInclude(require('./sw/install-prompt'));
+    processInclude(require('./sw/part-fallback'));
+    processInclude(require('./sw/cache-sync'));
+    processInclude(require('./sw/offline-queue'));
 });
\ No newline at end of file
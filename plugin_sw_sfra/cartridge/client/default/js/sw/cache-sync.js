@@ -0,0 +1,112 @@
+const { CACHE_SYNC_CHANNEL, EVENT_TYPES } = require('./helpers/messageTypes');
+
+// Invalidations arriving within this delay are handled with one refresh
+const REFRESH_DELAY = 500;
+const MINICART_SUFFIX = 'MiniCartShow';
+
+let pendingSuffixes = [];
+let refreshTimer = null;
+
+/**
+ * Builds the site and locale headers every storefront AJAX call sends (see the README), so the
+ * service worker caches the responses under the site and locale of the page.
+ * @returns {Object} - Request headers.
+ */
+function getSiteHeaders() {
+    return {
+        'x-sf-cc-siteid': document.documentElement?.dataset?.siteid || '',
+        'x-sf-cc-requestlocale': document.documentElement?.dataset?.locale || '',
+        'x-requested-with': 'XMLHttpRequest'
+    };
+}
+
+/**
+ * Checks whether an invalidation concerns this page: invalidations limited to another site or
+ * locale are ignored, unscoped ones concern every page.
+ * @param {Object} data - The `CACHE_INVALIDATED` event, `{ suffixes, siteId, locale }`.
+ * @returns {boolean} - True if the page shows content of the invalidated scope.
+ */
+function isForThisPage(data) {
+    const dataset = document.documentElement?.dataset || {};
+
+    return (!data.siteId || data.siteId === dataset.siteid) && (!data.locale || data.locale === dataset.locale);
+}
+
+/**
+ * Reloads every `data-sw-refresh` element showing one of the invalidated suffixes from its
+ * `data-sw-refresh-url`, and triggers `sw:refreshed` on it once the markup is in place.
+ * When the minicart is invalidated, its `data-action-url` is loaded as well, so the worker caches
+ * the new basket before the shopper opens the popover.
+ * @param {Array} suffixes - The invalidated cache suffixes.
+ */
+function refresh(suffixes) {
+    $('[data-sw-refresh]').each(function () {
+        const $element = $(this);
+        const suffix = $element.data('sw-refresh');
+        const url = $element.data('sw-refresh-url');
+
+        if (!url || suffixes.indexOf(suffix) === -1) return;
+
+        $.ajax({ url, method: 'GET', dataType: 'html', headers: getSiteHeaders() }).done((html) => {
+            $element.html(html);
+            $element.trigger('sw:refreshed', { suffix });
+        });
+    });
+
+    const minicartUrl = $('.minicart').data('action-url');
+
+    if (minicartUrl && suffixes.indexOf(MINICART_SUFFIX) !== -1) {
+        $.ajax({ url: minicartUrl, method: 'GET', dataType: 'html', headers: getSiteHeaders() });
+    }
+}
+
+/**
+ * Refreshes the pending suffixes. Hidden tabs wait until they are shown again, so a change in one
+ * tab does not make every background tab reload at once.
+ */
+function flush() {
+    refreshTimer = null;
+
+    if (document.hidden) {
+        document.addEventListener('visibilitychange', flush, { once: true });
+        return;
+    }
+
+    const suffixes = pendingSuffixes;
+
+    pendingSuffixes = [];
+    if (suffixes.length) refresh(suffixes);
+}
+
+/**
+ * Collects the suffixes of an invalidation event and schedules a refresh.
+ * @param {Object} data - A message from the service worker.
+ */
+function onMessage(data) {
+    if (!data || data.type !== EVENT_TYPES.CACHE_INVALIDATED || !isForThisPage(data)) return;
+
+    data.suffixes.forEach((suffix) => {
+        if (pendingSuffixes.indexOf(suffix) === -1) pendingSuffixes.push(suffix);
+    });
+
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(flush, REFRESH_DELAY);
+}
+
+/**
+ * Keeps open tabs in sync with the service worker caches: when a cache suffix is invalidated
+ * (e.g. `MiniCartShow` after an add to cart in another tab), the elements marked with
+ * `data-sw-refresh="<suffix>"` are reloaded from their `data-sw-refresh-url`.
+ * The worker announces invalidations on a BroadcastChannel, or with `postMessage` in browsers without it.
+ */
+module.exports = function () {
+    if (!$('[data-sw-refresh]').length) return;
+
+    if ('BroadcastChannel' in window) {
+        new BroadcastChannel(CACHE_SYNC_CHANNEL).addEventListener('message', event => onMessage(event.data));
+    }
+
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', event => onMessage(event.data));
+    }
+};
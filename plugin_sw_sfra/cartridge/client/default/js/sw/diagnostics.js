@@ -0,0 +1,190 @@
+const swMessenger = require('./sw-messenger');
+
+/**
+ * Formats a byte count for display.
+ * @param {number} size - Size in bytes.
+ * @returns {string} - e.g. `12.3 KB`
+ */
+function formatSize(size) {
+    return size < 1024 ? `${size} B` : `${(size / 1024).toFixed(1)} KB`;
+}
+
+/**
+ * Builds a table row from cell contents. Strings are inserted as text, jQuery objects as they are.
+ * @param {Array} cells - Cell contents.
+ * @returns {jQuery} - The row.
+ */
+function row(cells) {
+    const $row = $('<tr>');
+
+    cells.forEach((cell) => {
+        const $cell = $('<td>');
+        if (cell instanceof $) {
+            $cell.append(cell);
+        } else {
+            $cell.text(cell);
+        }
+        $row.append($cell);
+    });
+
+    return $row;
+}
+
+/**
+ * Shows an error returned by the worker (or the lack of one).
+ * @param {jQuery} $page - The diagnostics container.
+ * @param {Error} err - The error.
+ */
+function showError($page, err) {
+    $page.find('.sw-diagnostics-error').text(err.message).removeClass('d-none');
+}
+
+/**
+ * Renders the state of the service worker registration.
+ * @param {jQuery} $page - The diagnostics container.
+ * @param {ServiceWorkerRegistration} [registration] - The registration, if any.
+ */
+function renderRegistration($page, registration) {
+    const $table = $page.find('.sw-diagnostics-registration').empty();
+    const none = $page.data('msg-none');
+    const state = worker => (worker ? `${worker.state} (${worker.scriptURL})` : none);
+
+    if (!registration) {
+        $table.append(row([$page.data('msg-unregistered'), '']));
+        return;
+    }
+
+    $table.append(row(['scope', registration.scope]));
+    $table.append(row(['active', state(registration.active)]));
+    $table.append(row(['waiting', state(registration.waiting)]));
+    $table.append(row(['installing', state(registration.installing)]));
+    $table.append(row(['controller', state(navigator.serviceWorker.controller)]));
+}
+
+/**
+ * Renders the cache id, the config the worker received and its URL invalidation map.
+ * @param {jQuery} $page - The diagnostics container.
+ * @param {Object} result - `{ cacheId, config, invalidationMap }`
+ */
+function renderConfig($page, result) {
+    const $map = $page.find('.sw-diagnostics-invalidation').empty();
+
+    $page.find('.sw-diagnostics-cacheid').text(result.cacheId);
+    $page.find('.sw-diagnostics-config').text(JSON.stringify(result.config, null, 2));
+
+    Object.keys(result.invalidationMap || {}).forEach((url) => {
+        $map.append(row([url, result.invalidationMap[url].join(', ')]));
+    });
+}
+
+/**
+ * Renders every cached entry, with a button to clear the entries of its suffix.
+ * @param {jQuery} $page - The diagnostics container.
+ * @param {Array} entries - Entries `{ category, url, suffix, size, storedAt }`
+ */
+function renderEntries($page, entries) {
+    const $table = $page.find('.sw-diagnostics-entries').empty();
+    const clearLabel = $page.data('msg-clear');
+
+    entries.forEach((entry) => {
+        const $clear = entry.suffix
+            ? $('<button type="button" class="btn btn-sm btn-outline-danger sw-diagnostics-clear">')
+                .text(clearLabel)
+                .attr('data-suffix', entry.suffix)
+            : '';
+
+        $table.append(row([
+            entry.category,
+            entry.url,
+            entry.suffix || '',
+            formatSize(entry.size),
+            entry.storedAt ? new Date(entry.storedAt).toLocaleString() : '',
+            $clear
+        ]));
+    });
+
+    $page.find('.sw-diagnostics-total').text(entries.length);
+}
+
+/**
+ * Renders the last responses the worker refused to cache.
+ * @param {jQuery} $page - The diagnostics container.
+ * @param {Array} refusals - Refusals `{ url, key, reason, pattern, refusedAt }`
+ */
+function renderRefusals($page, refusals) {
+    const $table = $page.find('.sw-diagnostics-refusals').empty();
+
+    refusals.forEach((refusal) => {
+        $table.append(row([
+            new Date(refusal.refusedAt).toLocaleString(),
+            refusal.url,
+            refusal.key,
+            refusal.pattern ? `${refusal.reason} (${refusal.pattern})` : refusal.reason
+        ]));
+    });
+}
+
+/**
+ * Reads the registration and asks the active worker for its config, cache entries and refusals.
+ * @param {jQuery} $page - The diagnostics container.
+ * @returns {Promise} - Resolves once everything is rendered.
+ */
+function refresh($page) {
+    $page.find('.sw-diagnostics-error').addClass('d-none');
+
+    return navigator.serviceWorker.getRegistration().then((registration) => {
+        renderRegistration($page, registration);
+
+        if (!registration || !registration.active) return null;
+
+        return Promise.all([
+            swMessenger.getConfig(),
+            swMessenger.listEntries(),
+            swMessenger.listRefusals()
+        ]).then(([config, entries, refusals]) => {
+            renderConfig($page, config);
+            renderEntries($page, entries);
+            renderRefusals($page, refusals);
+        });
+    }).catch(err => showError($page, err));
+}
+
+/**
+ * Runs an action on the registration, then refreshes the page.
+ * @param {jQuery} $page - The diagnostics container.
+ * @param {Function} action - Receives the registration, returns a promise.
+ */
+function withRegistration($page, action) {
+    navigator.serviceWorker.getRegistration()
+        .then(registration => registration && action(registration))
+        .then(() => refresh($page))
+        .catch(err => showError($page, err));
+}
+
+/**
+ * Diagnostics page (ServiceWorker-Diagnostics): shows the registration state, the cache id, the
+ * worker's config and invalidation map, every cache entry and the responses it refused to cache,
+ * and lets support agents clear a suffix, unregister the worker or force an update without DevTools.
+ */
+module.exports = function () {
+    const $page = $('.sw-diagnostics');
+
+    if (!$page.length) return;
+
+    if (!('serviceWorker' in navigator)) {
+        showError($page, new Error($page.data('msg-unsupported')));
+        return;
+    }
+
+    $page.on('click', '.sw-diagnostics-clear', function () {
+        swMessenger.clearCache($(this).data('suffix'))
+            .then(() => refresh($page))
+            .catch(err => showError($page, err));
+    });
+
+    $page.on('click', '.sw-diagnostics-update', () => withRegistration($page, registration => registration.update()));
+    $page.on('click', '.sw-diagnostics-unregister', () => withRegistration($page, registration => registration.unregister()));
+    $page.on('click', '.sw-diagnostics-refresh', () => refresh($page));
+
+    refresh($page);
+};
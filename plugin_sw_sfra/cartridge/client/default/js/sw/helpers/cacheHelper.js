@@ -0,0 +1,162 @@
+/* eslint-disable no-restricted-globals */
+import { recordEntry, touchEntry, enforceLimits, shedOnQuota } from './storageHelper';
+import { getFreshnessLifetime } from './httpCacheHelper';
+
+export const CACHED_AT_HEADER = 'x-sw-cached-at';
+export const INVALIDATE_HEADER = 'x-sw-invalidate';
+const LOCALE_PATTERN = /^([a-z]{2}(_[A-Z]{2})?|default)$/;
+
+/**
+ * Copies a response into a new one that carries the time it was stored.
+ * The timestamp lives in a custom header so it survives worker restarts without a separate store.
+ * @param {Response} response - The network response to be stored.
+ * @returns {Promise<object>} `{ response, size }`: a response ready to be put into the cache and its body size.
+ */
+async function stampResponse(response) {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, Date.now().toString());
+    const body = await response.blob();
+
+    return {
+        response: new Response(body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers
+        }),
+        size: body.size
+    };
+}
+
+/**
+ * Resolves a cache key to the absolute URL the Cache API stores it under.
+ * @param {string|Request} key - Cache key.
+ * @returns {string} Absolute URL.
+ */
+function toEntryUrl(key) {
+    return typeof key === 'string' ? new URL(key, self.location).href : key.url;
+}
+
+/**
+ * Stores a response under the given key together with its storage time, records it as the most
+ * recently used entry and evicts older entries when the cache exceeds its limits.
+ * @param {string} cacheName - Name of the cache storage.
+ * @param {string|Request} key - Cache key.
+ * @param {Response} response - The response to store. Pass a clone if the body is still needed.
+ * @returns {Promise} Resolves once the entry is written.
+ */
+export async function putWithTimestamp(cacheName, key, response) {
+    const cache = await caches.open(cacheName);
+    const stamped = await stampResponse(response);
+
+    await cache.put(key, stamped.response);
+    await recordEntry(cacheName, toEntryUrl(key), stamped.size);
+    await enforceLimits(cacheName);
+    await shedOnQuota(cacheName);
+}
+
+/**
+ * Checks whether a cached response is older than the allowed max-age.
+ * Entries without a timestamp (stored before expiry support) are treated as expired when a max-age is set.
+ * @param {Response} response - The cached response.
+ * @param {number} maxAge - Time-to-live in seconds. Zero or empty means the entry never expires.
+ * @param {boolean} [useHeaders] - Without a `maxAge`, take the lifetime from the response's
+ * `Cache-Control`/`Expires` headers (see httpCacheHelper.js).
+ * @returns {boolean} True if the entry must be treated as a cache miss.
+ */
+export function isExpired(response, maxAge, useHeaders) {
+    const lifetime = !maxAge && useHeaders ? getFreshnessLifetime(response) : maxAge || null;
+
+    if (lifetime === null) return false;
+    if (lifetime === 0) return true;
+
+    const cachedAt = parseInt(response.headers.get(CACHED_AT_HEADER), 10);
+    if (!cachedAt) return true;
+
+    return Date.now() - cachedAt > lifetime * 1000;
+}
+
+/**
+ * Looks up a cache entry and ignores it if it has expired. A hit marks the entry as recently used.
+ * @param {string} cacheName - Name of the cache storage.
+ * @param {string|Request} key - Cache key.
+ * @param {number} maxAge - Time-to-live in seconds.
+ * @param {boolean} [useHeaders] - Fall back to the lifetime the response headers give (see `isExpired`).
+ * @returns {Promise<Response|undefined>} The fresh cached response, or undefined on a miss.
+ */
+export async function matchFresh(cacheName, key, maxAge, useHeaders) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(key);
+
+    if (!cached || isExpired(cached, maxAge, useHeaders)) return undefined;
+
+    touchEntry(cacheName, toEntryUrl(key)).catch(() => {});
+
+    return cached;
+}
+
+/**
+ * Splits a `SiteId.Locale.Suffix` cache key back into its parts.
+ * Cache keys are stored as URLs relative to the worker scope, so only the last path segment is used.
+ * @param {string} url - The URL of a cache entry.
+ * @returns {object|null} `{ siteId, locale, suffix }`, or null for entries not keyed that way (e.g. static resources).
+ */
+export function parseCacheKey(url) {
+    const segments = new URL(url).pathname.split('/').pop().split('.');
+
+    if (segments.length < 3 || !LOCALE_PATTERN.test(segments[1])) return null;
+
+    return {
+        siteId: segments[0],
+        locale: segments[1],
+        suffix: segments[segments.length - 1]
+    };
+}
+
+/**
+ * Reads the `X-SW-Invalidate` header set by scripts/middleware/swInvalidate.js,
+ * e.g. `MiniCartShow, header` or `MiniCartShow; scope=all`.
+ * @param {Headers} headers - Response headers.
+ * @returns {object|null} `{ suffixes, allSites }`, or null if the response invalidates nothing.
+ */
+export function parseInvalidateHeader(headers) {
+    const value = headers.get(INVALIDATE_HEADER);
+    if (!value) return null;
+
+    const [list, ...params] = value.split(';');
+    const suffixes = list.split(',').map(suffix => suffix.trim()).filter(Boolean);
+
+    if (!suffixes.length) return null;
+
+    return {
+        suffixes,
+        allSites: params.some(param => param.trim() === 'scope=all')
+    };
+}
+
+/**
+ * Deletes `SiteId.Locale.Suffix` entries for the given suffixes.
+ * @param {Array} cacheNames - Names of the caches to search.
+ * @param {Array} suffixes - Cache suffixes to evict.
+ * @param {object} [scope] - Optional `{ siteId, locale }` limiting the eviction; all sites and locales otherwise.
+ * @returns {Promise<Array>} The suffixes that had at least one entry evicted.
+ */
+export async function evictEntries(cacheNames, suffixes, scope) {
+    const evicted = new Set();
+
+    await Promise.all(cacheNames.map(async (cacheName) => {
+        const cache = await caches.open(cacheName);
+        const keys = await cache.keys();
+        const toDelete = keys.filter((entry) => {
+            const key = parseCacheKey(entry.url);
+
+            return key && suffixes.indexOf(key.suffix) !== -1 &&
+                (!scope || !scope.siteId || scope.siteId === key.siteId) &&
+                (!scope || !scope.locale || scope.locale === key.locale);
+        });
+
+        toDelete.forEach(entry => evicted.add(parseCacheKey(entry.url).suffix));
+        await Promise.all(toDelete.map(k => cache.delete(k)));
+    }));
+
+    return suffixes.filter(suffix => evicted.has(suffix));
+}
@@ -0,0 +1,148 @@
+/* eslint-disable no-restricted-globals */
+import { getRecord, putRecord } from './idbHelper';
+
+/**
+ * Response headers (set in config/httpHeadersConf.js) that describe who a response was rendered for.
+ * A rule lists the dimensions it depends on in `keyDimensions`.
+ */
+export const DIMENSION_HEADERS = {
+    auth: 'x-sf-cc-authstate',
+    customerGroups: 'x-sf-cc-customergroups',
+    currency: 'x-sf-cc-currency'
+};
+
+// Dimension values are kept in IndexedDB, so a restarted worker still knows them
+const DIMENSIONS_STORE = 'dimensions';
+const DIMENSIONS_ID = 'current';
+
+// Dimension values of the shopper, as last reported by the server
+let currentDimensions = {};
+let restorePromise = null;
+let reported = false;
+
+/**
+ * Reads the dimension values from response headers.
+ * @param {Headers} headers - Response headers.
+ * @returns {object} Map of dimension name to value, only for headers that are present.
+ */
+function readDimensions(headers) {
+    const values = {};
+
+    Object.keys(DIMENSION_HEADERS).forEach((name) => {
+        const value = headers.get(DIMENSION_HEADERS[name]);
+        if (value) values[name] = value;
+    });
+
+    return values;
+}
+
+/**
+ * Remembers the shopper's dimension values reported by a server response. The values replace the
+ * previous ones as a whole, so a dimension the response no longer reports is forgotten; responses
+ * without any dimension header (e.g. from another origin) are ignored.
+ * @param {Headers} headers - Response headers.
+ * @returns {Promise} Resolves once the values are stored in IndexedDB.
+ */
+export function updateDimensions(headers) {
+    const values = readDimensions(headers);
+
+    if (!Object.keys(values).length) return Promise.resolve();
+
+    currentDimensions = values;
+    reported = true;
+
+    return putRecord(DIMENSIONS_STORE, { id: DIMENSIONS_ID, values }).catch(() => {});
+}
+
+/**
+ * Loads the dimension values stored by an earlier run of the worker, once per worker start.
+ * Values reported by a response in the meantime are kept.
+ * @returns {Promise} Resolves once the stored values are applied.
+ */
+export function restoreDimensions() {
+    if (!restorePromise) {
+        restorePromise = getRecord(DIMENSIONS_STORE, DIMENSIONS_ID).then((record) => {
+            if (record && !reported) currentDimensions = record.values;
+        }).catch(() => {});
+    }
+
+    return restorePromise;
+}
+
+/**
+ * Encodes a value for use in a cache key segment, where `.` separates segments.
+ * @param {string} value - The raw value.
+ * @returns {string} The encoded value.
+ */
+function encodeSegment(value) {
+    return encodeURIComponent(value).replace(/[.%]/g, '_');
+}
+
+/**
+ * Encodes dimension values as a key segment, e.g. `auth-registered_currency-USD`.
+ * @param {Array} names - Dimension names, in key order.
+ * @param {object} values - Dimension values.
+ * @returns {string} The key segment.
+ */
+function encodeDimensions(names, values) {
+    return names.map(name => `${name}-${encodeSegment(values[name])}`).join('_');
+}
+
+/**
+ * Builds the cache key of a rule: `SiteId.Locale.Suffix`, with the rule's key dimensions
+ * inserted before the suffix, e.g. `RefArch.en_US.auth-registered_currency-USD.MiniCartShow`.
+ * A parameterized part adds its argument, e.g. `RefArch.en_US.arg-header-banner-m.slot`, so entries
+ * of every argument still share the suffix that invalidates them.
+ * @param {string} siteId - The site identifier.
+ * @param {string} locale - The request locale.
+ * @param {object} rule - The cachedParts/cachedUrls rule, with the `argument` of a parameterized part.
+ * @param {object} [dimensions] - Dimension values to use; defaults to the last values reported by the server.
+ * @returns {string|null} The cache key, or null if a required dimension is unknown and the cache must be bypassed.
+ */
+export function buildCacheKey(siteId, locale, rule, dimensions) {
+    const values = dimensions || currentDimensions;
+    const names = rule.keyDimensions || [];
+
+    if (names.some(name => !values[name])) return null;
+
+    const segment = encodeDimensions(names, values);
+    const argument = rule.argument ? `arg-${encodeSegment(rule.argument)}` : '';
+
+    return [siteId, locale, segment, argument, rule.cacheSuffix].filter(Boolean).join('.');
+}
+
+/**
+ * Builds the key a network response must be stored under, from the dimensions reported by the response
+ * itself, so content rendered for one shopper never lands under another shopper's key.
+ * The values also replace the remembered ones.
+ * @param {string} siteId - The site identifier.
+ * @param {string} locale - The request locale.
+ * @param {object} rule - The cachedParts/cachedUrls rule.
+ * @param {Response} response - The network response to store.
+ * @returns {string|null} The cache key, or null if the response must not be stored.
+ */
+export function buildStoreKey(siteId, locale, rule, response) {
+    updateDimensions(response.headers);
+
+    return buildCacheKey(siteId, locale, rule, readDimensions(response.headers));
+}
+
+/**
+ * Builds the key of a saved page: its URL with all dimensions in the `sw_dims` parameter, since a
+ * whole document may depend on any of them. A page is saved under the dimensions of its own response,
+ * and looked up under the last values reported by the server.
+ * @param {string} url - The absolute navigation URL.
+ * @param {Response} [response] - The network response to store.
+ * @returns {string|null} The cache key, or null if a dimension is unknown and the page must not be saved or served.
+ */
+export function buildPageKey(url, response) {
+    const values = response ? readDimensions(response.headers) : currentDimensions;
+    const names = Object.keys(DIMENSION_HEADERS);
+
+    if (names.some(name => !values[name])) return null;
+
+    const key = new URL(url);
+    key.searchParams.set('sw_dims', encodeDimensions(names, values));
+
+    return key.href;
+}
@@ -0,0 +1,117 @@
+/* eslint-disable no-restricted-globals */
+
+// Response headers refreshed from a 304 Not Modified, as a cache would per RFC 9111
+const REVALIDATED_HEADERS = ['cache-control', 'date', 'etag', 'expires', 'last-modified', 'vary'];
+// Request headers that make a response specific to one shopper when it varies by them
+const PERSONAL_VARY_HEADERS = ['*', 'cookie', 'authorization'];
+
+/**
+ * Reads the directives of a `Cache-Control` header, e.g. `private, max-age=600`.
+ * @param {Headers} headers - Response headers.
+ * @returns {object} Directive values by lowercase name; directives without a value are `true`.
+ */
+export function parseCacheControl(headers) {
+    const directives = {};
+
+    (headers.get('cache-control') || '').split(',').forEach((directive) => {
+        const [name, value] = directive.split('=');
+        const key = name.trim().toLowerCase();
+
+        if (key) directives[key] = value === undefined ? true : value.trim().replace(/^"|"$/g, '');
+    });
+
+    return directives;
+}
+
+/**
+ * Checks whether the server allows the worker to store a response: `no-store` and `private` forbid it,
+ * and so does a `Vary` on `*`, `Cookie` or `Authorization`, since the cache keys do not cover them.
+ * @param {Response} response - The network response.
+ * @returns {boolean} True if the response may be cached.
+ */
+export function isStorable(response) {
+    const directives = parseCacheControl(response.headers);
+    const vary = (response.headers.get('vary') || '').toLowerCase().split(',').map(name => name.trim());
+
+    return !directives['no-store'] && !directives.private
+        && !vary.some(name => PERSONAL_VARY_HEADERS.indexOf(name) !== -1);
+}
+
+/**
+ * Computes how long a response stays fresh from its headers: `s-maxage`, then `max-age`, then
+ * `Expires` relative to `Date`, minus the `Age` it already had when received. `no-cache` makes it
+ * stale right away, so every use is revalidated.
+ * @param {Response} response - The cached response, with the headers the server sent.
+ * @returns {number|null} Lifetime in seconds, or null when the headers say nothing about freshness.
+ */
+export function getFreshnessLifetime(response) {
+    const directives = parseCacheControl(response.headers);
+    const age = parseInt(response.headers.get('age'), 10) || 0;
+    let lifetime = null;
+
+    if (directives['no-cache']) return 0;
+
+    if (directives['s-maxage'] !== undefined) {
+        lifetime = parseInt(directives['s-maxage'], 10);
+    } else if (directives['max-age'] !== undefined) {
+        lifetime = parseInt(directives['max-age'], 10);
+    } else if (response.headers.get('expires')) {
+        const expires = Date.parse(response.headers.get('expires'));
+        const date = Date.parse(response.headers.get('date')) || Date.now();
+
+        lifetime = isNaN(expires) ? 0 : Math.round((expires - date) / 1000);
+    }
+
+    return lifetime === null || isNaN(lifetime) ? null : Math.max(lifetime - age, 0);
+}
+
+/**
+ * Builds the conditional request headers for revalidating a cached response.
+ * @param {Response} cached - The cached response.
+ * @returns {object|null} `If-None-Match`/`If-Modified-Since` headers, or null when the response has no validator.
+ */
+export function getValidators(cached) {
+    const validators = {};
+
+    if (cached.headers.get('etag')) validators['If-None-Match'] = cached.headers.get('etag');
+    if (cached.headers.get('last-modified')) validators['If-Modified-Since'] = cached.headers.get('last-modified');
+
+    return Object.keys(validators).length ? validators : null;
+}
+
+/**
+ * Copies a request and adds conditional headers. The copy is a plain CORS request to the same URL,
+ * since `no-cors` requests (e.g. images) drop headers that are not CORS-safelisted.
+ * @param {Request} request - The original request.
+ * @param {object} validators - Headers returned by `getValidators`.
+ * @returns {Request} The conditional request.
+ */
+export function withValidators(request, validators) {
+    const headers = new Headers(request.headers);
+
+    Object.keys(validators).forEach(name => headers.set(name, validators[name]));
+
+    return new Request(request.url, { headers, credentials: request.credentials });
+}
+
+/**
+ * Combines a cached response with the 304 Not Modified that revalidated it: the cached body and
+ * status, with the caching headers of the 304.
+ * @param {Response} cached - The cached response.
+ * @param {Response} notModified - The 304 response.
+ * @returns {Response} The refreshed response.
+ */
+export function mergeNotModified(cached, notModified) {
+    const headers = new Headers(cached.headers);
+
+    REVALIDATED_HEADERS.forEach((name) => {
+        if (notModified.headers.has(name)) headers.set(name, notModified.headers.get(name));
+    });
+    headers.delete('age');
+
+    return new Response(cached.body, {
+        status: cached.status,
+        statusText: cached.statusText,
+        headers
+    });
+}
@@ -0,0 +1,142 @@
+/* eslint-disable no-restricted-globals */
+const DB_NAME = 'plugin_sw_sfra';
+const DB_VERSION = 5;
+
+/**
+ * Object stores used by the service worker.
+ * Adding a store requires bumping DB_VERSION so that `onupgradeneeded` creates it.
+ */
+const STORES = {
+    syncQueue: { keyPath: 'id', autoIncrement: true },
+    cacheEntries: { keyPath: 'id' },
+    telemetry: { keyPath: 'id' },
+    refusals: { keyPath: 'id', autoIncrement: true },
+    dimensions: { keyPath: 'id' }
+};
+
+let dbPromise = null;
+
+/**
+ * Wraps an IDBRequest into a promise.
+ * @param {IDBRequest} request - The IndexedDB request.
+ * @returns {Promise} Resolves with the request result.
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Opens (and upgrades when needed) the service worker database.
+ * The connection is reused for the lifetime of the worker, and closed when another worker upgrades
+ * or deletes the database, so it never blocks them.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            Object.keys(STORES).forEach((name) => {
+                if (!db.objectStoreNames.contains(name)) {
+                    db.createObjectStore(name, STORES[name]);
+                }
+            });
+        };
+
+        dbPromise = promisifyRequest(request).then((db) => {
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+
+            return db;
+        }).catch((err) => {
+            dbPromise = null;
+            throw err;
+        });
+    }
+
+    return dbPromise;
+}
+
+/**
+ * Runs a single operation against an object store.
+ * @param {string} storeName - Name of the object store.
+ * @param {string} mode - Transaction mode, 'readonly' or 'readwrite'.
+ * @param {Function} operation - Receives the store and returns an IDBRequest.
+ * @returns {Promise} Resolves with the request result.
+ */
+async function runInStore(storeName, mode, operation) {
+    const db = await openDatabase();
+    const store = db.transaction(storeName, mode).objectStore(storeName);
+
+    return promisifyRequest(operation(store));
+}
+
+/**
+ * Adds a record and returns its generated key.
+ * @param {string} storeName - Name of the object store.
+ * @param {object} value - The record to add.
+ * @returns {Promise} The key of the new record.
+ */
+export function addRecord(storeName, value) {
+    return runInStore(storeName, 'readwrite', store => store.add(value));
+}
+
+/**
+ * Inserts or replaces a record.
+ * @param {string} storeName - Name of the object store.
+ * @param {object} value - The record to store.
+ * @returns {Promise} The key of the stored record.
+ */
+export function putRecord(storeName, value) {
+    return runInStore(storeName, 'readwrite', store => store.put(value));
+}
+
+/**
+ * Reads a single record by key.
+ * @param {string} storeName - Name of the object store.
+ * @param {*} key - Key of the record.
+ * @returns {Promise<object|undefined>} The record, or undefined if it does not exist.
+ */
+export function getRecord(storeName, key) {
+    return runInStore(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Reads every record of a store.
+ * @param {string} storeName - Name of the object store.
+ * @returns {Promise<Array>} All records in key order.
+ */
+export function getAllRecords(storeName) {
+    return runInStore(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Deletes a record by key.
+ * @param {string} storeName - Name of the object store.
+ * @param {*} key - Key of the record to delete.
+ * @returns {Promise} Resolves once the record is removed.
+ */
+export function deleteRecord(storeName, key) {
+    return runInStore(storeName, 'readwrite', store => store.delete(key));
+}
+
+/**
+ * Deletes the service worker database with all its stores, closing this worker's connection first.
+ * @returns {Promise} Resolves once the database is deleted.
+ */
+export async function deleteDatabase() {
+    if (dbPromise) {
+        const db = await dbPromise.catch(() => null);
+
+        if (db) db.close();
+        dbPromise = null;
+    }
+
+    await promisifyRequest(indexedDB.deleteDatabase(DB_NAME));
+}
@@ -0,0 +1,27 @@
+/**
+ * Commands understood by the service worker `message` listener.
+ * Shared by the worker and the page-side wrapper (sw/sw-messenger.js).
+ */
+export const MESSAGE_TYPES = {
+    CLEAR_CACHE: 'CLEAR_CACHE',
+    GET_CONFIG: 'GET_CONFIG',
+    GET_STATUS: 'GET_STATUS',
+    INVALIDATE: 'INVALIDATE',
+    LIST_ENTRIES: 'LIST_ENTRIES',
+    LIST_REFUSALS: 'LIST_REFUSALS',
+    SKIP_WAITING: 'SKIP_WAITING'
+};
+
+/**
+ * BroadcastChannel on which the service worker announces invalidated cache suffixes to every open tab
+ * (see sw/cache-sync.js). Browsers without BroadcastChannel get the same event through `postMessage`.
+ */
+export const CACHE_SYNC_CHANNEL = 'plugin_sw_sfra-cache';
+
+/**
+ * Events sent by the service worker without being asked.
+ */
+export const EVENT_TYPES = {
+    CACHE_INVALIDATED: 'CACHE_INVALIDATED',
+    SYNC_REPLAYED: 'SYNC_REPLAYED'
+};
@@ -0,0 +1,60 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * Picks the text for the given locale from a push payload field.
+ * A field is either a plain string or a map of locale IDs to strings, e.g.
+ * `{ "en_US": "Back in stock", "fr_FR": "De retour en stock", "default": "Back in stock" }`.
+ * @param {string|object} value - The payload field.
+ * @param {string} locale - The preferred locale ID.
+ * @returns {string} The localized text, or an empty string.
+ */
+function localize(value, locale) {
+    if (!value || typeof value === 'string') return value || '';
+
+    const language = (locale || '').split('_')[0];
+
+    return value[locale] || value[language] || value.default || Object.keys(value).map(k => value[k])[0] || '';
+}
+
+/**
+ * Converts a push payload into the arguments of `registration.showNotification`.
+ * Payload format:
+ * `{ title, body, icon, badge, image, tag, url, locale }` where `title` and `body` may be localized maps
+ * and `url` is a storefront deep link, absolute or relative to the site.
+ * @param {object} payload - The parsed push message data.
+ * @param {string} defaultLocale - Locale used when the payload does not name one.
+ * @returns {object} An object with `title` and `options`.
+ */
+export function buildNotification(payload, defaultLocale) {
+    const locale = payload.locale || defaultLocale;
+
+    return {
+        title: localize(payload.title, locale),
+        options: {
+            body: localize(payload.body, locale),
+            icon: payload.icon,
+            badge: payload.badge,
+            image: payload.image,
+            tag: payload.tag,
+            data: {
+                url: new URL(payload.url || '/', self.registration.scope).href
+            }
+        }
+    };
+}
+
+/**
+ * Focuses an open storefront tab showing the deep link, or opens a new one.
+ * @param {string} url - Absolute URL stored on the notification.
+ * @returns {Promise} Resolves once a window is focused or opened.
+ */
+export async function openDeepLink(url) {
+    const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const existing = clientList.find(client => client.url === url);
+
+    if (existing) {
+        return existing.focus();
+    }
+
+    return self.clients.openWindow(url);
+}
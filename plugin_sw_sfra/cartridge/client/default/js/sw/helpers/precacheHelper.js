@@ -0,0 +1,159 @@
+/* eslint-disable no-restricted-globals */
+import { putWithTimestamp } from './cacheHelper';
+import { getRefusal, logRefusal } from './safetyHelper';
+import { buildStoreKey } from './cacheKeyHelper';
+import { isStorable } from './httpCacheHelper';
+
+/**
+ * The precache outlives cache versions, so an update only downloads the assets that changed.
+ * Entries are stored under their versioned static URL and remember the stable key of the manifest entry.
+ */
+export const PRECACHE_NAME = 'precache';
+
+const PRECACHE_KEY_HEADER = 'x-sw-precache-key';
+
+/**
+ * Copies a response into a new one that carries the stable key of its manifest entry.
+ * @param {Response} response - The response to store.
+ * @param {string} key - The manifest key, i.e. the static path without the cache version.
+ * @returns {Promise<Response>} The response to put into the precache.
+ */
+async function withKey(response, key) {
+    const headers = new Headers(response.headers);
+    headers.set(PRECACHE_KEY_HEADER, key);
+
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+/**
+ * Maps the stable keys of the stored entries to their responses, whatever version they were fetched for.
+ * @param {Cache} cache - The opened precache.
+ * @returns {Promise<Map>} Map of manifest key to cached response.
+ */
+async function indexByKey(cache) {
+    const index = new Map();
+
+    await Promise.all((await cache.keys()).map(async (request) => {
+        const response = await cache.match(request);
+        const key = response && response.headers.get(PRECACHE_KEY_HEADER);
+
+        if (key) index.set(key, response);
+    }));
+
+    return index;
+}
+
+/**
+ * Builds the conditional request headers that revalidate a stored copy.
+ * @param {Response} response - The stored copy.
+ * @returns {object} `If-None-Match`/`If-Modified-Since` headers, empty when the copy has no validator.
+ */
+function getValidatorHeaders(response) {
+    const headers = {};
+    const etag = response.headers.get('etag');
+    const lastModified = response.headers.get('last-modified');
+
+    if (etag) headers['If-None-Match'] = etag;
+    if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+    return headers;
+}
+
+/**
+ * Stores the static assets of the precache manifest. An asset already stored for an older cache
+ * version is revalidated with its ETag/Last-Modified: on `304 Not Modified` the stored copy is reused
+ * for the new URL, so only changed files are downloaded. Assets that fail to load are skipped;
+ * they are cached lazily on first use instead.
+ * @param {Array} assets - Manifest entries `{ url, key }`.
+ * @returns {Promise<number>} The number of assets downloaded.
+ */
+export async function precacheAssets(assets) {
+    const cache = await caches.open(PRECACHE_NAME);
+    const previous = await indexByKey(cache);
+    let downloaded = 0;
+
+    await Promise.all(assets.map(async (asset) => {
+        if (await cache.match(asset.url)) return;
+
+        const stored = previous.get(asset.key);
+
+        try {
+            const response = await fetch(new Request(asset.url, {
+                cache: 'no-store',
+                headers: stored ? getValidatorHeaders(stored) : {}
+            }));
+
+            if (response.status === 304 && stored) {
+                await cache.put(asset.url, stored.clone());
+            } else if (response.ok) {
+                await cache.put(asset.url, await withKey(response, asset.key));
+                downloaded++;
+            }
+        } catch (err) {
+            // Left to the runtime static cache
+        }
+    }));
+
+    return downloaded;
+}
+
+/**
+ * Removes precached assets that are no longer in the manifest, e.g. those of the previous cache version.
+ * Runs on activation, so a waiting worker never takes files away from the pages of the active one.
+ * @param {Array} assets - Manifest entries `{ url, key }`.
+ * @returns {Promise} Resolves once outdated entries are deleted.
+ */
+export async function prunePrecache(assets) {
+    const cache = await caches.open(PRECACHE_NAME);
+    const current = new Set(assets.map(asset => new URL(asset.url, self.location).href));
+
+    await Promise.all((await cache.keys())
+        .filter(request => !current.has(request.url))
+        .map(request => cache.delete(request)));
+}
+
+/**
+ * Looks up a precached static asset.
+ * @param {Request} request - The request for the asset.
+ * @returns {Promise<Response|undefined>} The precached response, or undefined if the asset is not precached.
+ */
+export async function matchPrecache(request) {
+    const cache = await caches.open(PRECACHE_NAME);
+
+    return cache.match(request);
+}
+
+/**
+ * Warms the cache with the listed page parts (e.g. header, footer) for the site and locale the worker
+ * is installed from, so the first composed page does not wait for them. Parts that fail to load, that
+ * the server does not allow to store (e.g. `Cache-Control: no-store`, unless the part sets
+ * `honorCacheHeaders: false`) or that fail the safety checks (see safetyHelper.js) are skipped.
+ * @param {string} cacheName - Name of the fragments cache.
+ * @param {Array} parts - The `cachedParts` rules to load.
+ * @param {string} siteId - The site identifier.
+ * @param {string} locale - The request locale.
+ * @returns {Promise} Resolves once the parts are stored.
+ */
+export function precacheParts(cacheName, parts, siteId, locale) {
+    return Promise.all(parts.map(async (part) => {
+        try {
+            const response = await fetch(new Request(part.url, { cache: 'reload' }));
+            const key = response.ok && buildStoreKey(siteId, locale, part, response);
+            if (!key || (part.honorCacheHeaders !== false && !isStorable(response))) return;
+
+            const refusal = await getRefusal(response, true);
+
+            if (refusal) {
+                await logRefusal(response.url, key, refusal);
+            } else {
+                await putWithTimestamp(cacheName, key, response);
+            }
+        } catch (err) {
+            // Loaded on the first navigation instead
+        }
+    }));
+}
@@ -0,0 +1,45 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * Converts a URL glob into a regular expression. `*` matches any characters;
+ * the glob may match any part of the URL.
+ * @param {string} glob - The URL glob.
+ * @returns {RegExp} The regular expression.
+ */
+function globToRegExp(glob) {
+    return new RegExp(glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*'));
+}
+
+/**
+ * Checks whether a URL matches resolved routes.
+ * Route URLs are matched against the URL without its `Sites-<id>-Site/<locale>/` segment,
+ * as for cache-clean triggers; globs are matched against the path and query.
+ * @param {string} url - The absolute request URL.
+ * @param {object} routes - `{ urls, globs }` as resolved by swConfig.js.
+ * @returns {boolean} True if any route matches.
+ */
+export function matchesRoutes(url, routes) {
+    const shortUrl = url.replace(/(Sites-[\w\-_]+-Site\/[\w]{2,7}\/)/, '');
+    const { pathname, search } = new URL(url);
+
+    return (routes.urls || []).some(route => shortUrl.indexOf(route) !== -1) ||
+        (routes.globs || []).some(glob => globToRegExp(glob).test(pathname + search));
+}
+
+/**
+ * Decides whether the service worker composes a navigation, based on the `navigationRoutes`
+ * include and exclude lists. An empty include list covers all navigations; exclusions win.
+ * @param {string} url - The absolute navigation URL.
+ * @param {object} [navigationRoutes] - `{ include, exclude }`, each `{ urls, globs }`.
+ * @returns {boolean} True if the navigation is handled by the service worker.
+ */
+export function isHandledNavigation(url, navigationRoutes) {
+    if (!navigationRoutes) return true;
+
+    const { include, exclude } = navigationRoutes;
+    const hasIncludes = include && ((include.urls || []).length || (include.globs || []).length);
+
+    if (exclude && matchesRoutes(url, exclude)) return false;
+
+    return !hasIncludes || matchesRoutes(url, include);
+}
@@ -0,0 +1,77 @@
+/* eslint-disable no-restricted-globals */
+import { addRecord, getAllRecords, deleteRecord } from './idbHelper';
+
+// Set by scripts/middleware/swCache.js `noStore` on responses that must never be cached
+export const NO_STORE_HEADER = 'x-sw-nostore';
+
+const REFUSAL_STORE = 'refusals';
+const MAX_REFUSALS = 50;
+
+export const REFUSAL_REASONS = {
+    SET_COOKIE: 'set-cookie',
+    NO_STORE: 'no-store-header',
+    BODY_PATTERN: 'body-pattern'
+};
+
+let compiledPatterns = null;
+
+/**
+ * Compiles the `safety.bodyPatterns` the worker was installed with. Invalid patterns are rejected
+ * by swConfig.js, so they never reach the worker.
+ * @returns {Array} Regular expressions.
+ */
+function getBodyPatterns() {
+    if (!compiledPatterns) {
+        compiledPatterns = ((self.serverPreparedData.safety || {}).bodyPatterns || []).map(pattern => new RegExp(pattern, 'i'));
+    }
+
+    return compiledPatterns;
+}
+
+/**
+ * Checks whether a response may be stored where other shoppers on the device could get it.
+ * Refused are responses with a `Set-Cookie` header (browsers normally hide it from the worker, which is
+ * why the server marks such routes with `X-SW-NoStore`), responses with `X-SW-NoStore` and, with
+ * `inspectBody`, text bodies matching one of the `safety.bodyPatterns` (e.g. CSRF token inputs).
+ * @param {Response} response - The network response.
+ * @param {boolean} [inspectBody] - Also match the body against the configured patterns.
+ * @returns {Promise<object|null>} `{ reason, pattern }` for a refused response, null otherwise.
+ */
+export async function getRefusal(response, inspectBody) {
+    if (response.headers.has('set-cookie')) return { reason: REFUSAL_REASONS.SET_COOKIE };
+    if (response.headers.has(NO_STORE_HEADER)) return { reason: REFUSAL_REASONS.NO_STORE };
+    if (!inspectBody || !getBodyPatterns().length) return null;
+
+    const body = await response.clone().text();
+    const match = getBodyPatterns().find(pattern => pattern.test(body));
+
+    return match ? { reason: REFUSAL_REASONS.BODY_PATTERN, pattern: match.source } : null;
+}
+
+/**
+ * Keeps a refusal for the diagnostics page (ServiceWorker-Diagnostics), dropping the oldest
+ * beyond the last 50. Never rejects: the refusal itself already protected the shopper.
+ * @param {string} url - URL of the refused response.
+ * @param {string} key - Cache key the response would have been stored under.
+ * @param {object} refusal - `{ reason, pattern }` returned by `getRefusal`.
+ * @returns {Promise} Resolves once the refusal is stored.
+ */
+export async function logRefusal(url, key, refusal) {
+    try {
+        await addRecord(REFUSAL_STORE, { url, key, ...refusal, refusedAt: Date.now() });
+
+        const records = await getAllRecords(REFUSAL_STORE);
+        await Promise.all(records.slice(0, Math.max(records.length - MAX_REFUSALS, 0))
+            .map(record => deleteRecord(REFUSAL_STORE, record.id)));
+    } catch (err) {
+        // Diagnostics only
+    }
+}
+
+/**
+ * Lists the logged refusals, newest first.
+ * @returns {Promise<Array>} Records `{ url, key, reason, pattern, refusedAt }`.
+ */
+export async function listRefusals() {
+    return (await getAllRecords(REFUSAL_STORE)).reverse();
+}
@@ -0,0 +1,86 @@
+/* eslint-disable no-restricted-globals */
+import { matchFresh, putWithTimestamp } from './cacheHelper';
+import { buildPageKey, restoreDimensions } from './cacheKeyHelper';
+import { matchesRoutes } from './routeHelper';
+import { NO_STORE_HEADER, getRefusal, logRefusal } from './safetyHelper';
+
+const BANNER_CLASS = 'sw-offline-banner';
+
+/**
+ * Escapes text for use as HTML content.
+ * @param {string} value - The raw text.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(value) {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Checks whether a navigation should be saved for offline use, based on the `savedPages` routes.
+ * Saved pages are stored in the pages cache, bounded by the `pages` entry of `cacheLimits`.
+ * Documents marked with `X-SW-NoStore` (scripts/middleware/swCache.js `noStore`) are never saved.
+ * @param {string} url - The absolute navigation URL.
+ * @param {Response} response - The network response.
+ * @returns {boolean} True if the composed document should be saved.
+ */
+export function isSavedPage(url, response) {
+    const settings = self.serverPreparedData.savedPages;
+
+    return !!(settings && settings.enabled && response.status === 200 && !response.headers.has(NO_STORE_HEADER)
+        && matchesRoutes(url, settings.routes));
+}
+
+/**
+ * Saves the composed document of a navigation, keyed by its URL and the dimensions of the response
+ * (see `buildPageKey`), so a copy rendered for one shopper is never shown to another.
+ * Documents refused by the safety checks (e.g. with a CSRF token or an email address) are not saved,
+ * and the refusal is logged.
+ * @param {string} cacheName - Name of the pages cache.
+ * @param {string} url - The absolute navigation URL.
+ * @param {Response} networkResponse - The network response, for its dimension headers.
+ * @param {Response} response - The composed document to save.
+ * @returns {Promise} Resolves once the page is saved or refused.
+ */
+export async function savePage(cacheName, url, networkResponse, response) {
+    const key = buildPageKey(url, networkResponse);
+    if (!key) return;
+
+    const refusal = await getRefusal(response, true);
+    if (refusal) {
+        await logRefusal(url, key, refusal);
+        return;
+    }
+
+    await putWithTimestamp(cacheName, key, response);
+}
+
+/**
+ * Looks up the saved copy of a page for the shopper's current dimensions, ignoring copies older
+ * than `savedPages.maxAge`, and marks it with the offline banner.
+ * @param {string} cacheName - Name of the pages cache.
+ * @param {string} url - The absolute navigation URL.
+ * @returns {Promise<Response|undefined>} The saved page with the banner, or undefined if none is stored.
+ */
+export async function matchSavedPage(cacheName, url) {
+    const settings = self.serverPreparedData.savedPages;
+    if (!settings || !settings.enabled) return undefined;
+
+    await restoreDimensions();
+
+    const key = buildPageKey(url);
+    const saved = key && await matchFresh(cacheName, key, settings.maxAge);
+    if (!saved) return undefined;
+
+    const banner = `<div class="${BANNER_CLASS}" role="status" style="padding:10px;background:#444;color:#fff;text-align:center;">` +
+        `${escapeHtml(settings.banner || '')}</div>`;
+    const html = (await saved.text()).replace(/<body[^>]*>/i, match => match + banner);
+    const headers = new Headers(saved.headers);
+
+    headers.delete('content-length');
+
+    return new Response(html, {
+        status: saved.status,
+        statusText: saved.statusText,
+        headers
+    });
+}
@@ -0,0 +1,201 @@
+/* eslint-disable no-restricted-globals */
+import { putRecord, getRecord, getAllRecords, deleteRecord } from './idbHelper';
+
+/**
+ * Cached content is split into separate named caches, so each kind can be bounded on its own:
+ * - shell: offline pages
+ * - fragments: cached page parts (header, footer)
+ * - ajax: cached backend responses (minicart, wishlist)
+ * - static: images, fonts, scripts and styles
+ * - pages: composed documents saved for offline use (see savedPageHelper.js)
+ */
+export const CACHE_CATEGORIES = {
+    SHELL: 'shell',
+    FRAGMENTS: 'fragments',
+    AJAX: 'ajax',
+    STATIC: 'static',
+    PAGES: 'pages'
+};
+
+const ENTRY_STORE = 'cacheEntries';
+const QUOTA_CHECK_INTERVAL = 60000;
+const DEFAULT_QUOTA_THRESHOLD = 0.8;
+
+let lastQuotaCheck = 0;
+
+/**
+ * Builds the name of a category cache: `<cacheId>-<category>`.
+ * @param {string} cacheId - The current cache version id.
+ * @param {string} category - One of CACHE_CATEGORIES.
+ * @returns {string} The cache name.
+ */
+export function getCacheName(cacheId, category) {
+    return `${cacheId}-${category}`;
+}
+
+/**
+ * Lists the names of every category cache of a cache version.
+ * @param {string} cacheId - The current cache version id.
+ * @returns {Array} Cache names.
+ */
+export function getCacheNames(cacheId) {
+    return Object.keys(CACHE_CATEGORIES).map(key => getCacheName(cacheId, CACHE_CATEGORIES[key]));
+}
+
+/**
+ * Splits a category cache name into its cache id and category.
+ * @param {string} cacheName - The cache name.
+ * @returns {object} `{ cacheId, category }`
+ */
+function parseCacheName(cacheName) {
+    const separator = cacheName.lastIndexOf('-');
+
+    return {
+        cacheId: cacheName.slice(0, separator),
+        category: cacheName.slice(separator + 1)
+    };
+}
+
+/**
+ * Builds the metadata record id of a cache entry.
+ * @param {string} cacheName - The cache name.
+ * @param {string} url - Absolute URL of the cache entry.
+ * @returns {string} The record id.
+ */
+function getRecordId(cacheName, url) {
+    return `${cacheName}|${url}`;
+}
+
+/**
+ * Records that an entry was stored, with its size, as the most recently used one.
+ * @param {string} cacheName - The cache name.
+ * @param {string} url - Absolute URL of the cache entry.
+ * @param {number} size - Body size in bytes.
+ * @returns {Promise} Resolves once the metadata is written.
+ */
+export function recordEntry(cacheName, url, size) {
+    return putRecord(ENTRY_STORE, { id: getRecordId(cacheName, url), cacheName, url, size, lastAccess: Date.now() });
+}
+
+/**
+ * Marks an entry as used, moving it to the end of the eviction order.
+ * @param {string} cacheName - The cache name.
+ * @param {string} url - Absolute URL of the cache entry.
+ * @returns {Promise} Resolves once the metadata is updated.
+ */
+export async function touchEntry(cacheName, url) {
+    const record = await getRecord(ENTRY_STORE, getRecordId(cacheName, url));
+
+    if (record) {
+        record.lastAccess = Date.now();
+        await putRecord(ENTRY_STORE, record);
+    }
+}
+
+/**
+ * Reads the entries of a cache in least-recently-used order.
+ * Metadata of entries that are gone is dropped; entries without metadata count as just used.
+ * @param {Cache} cache - The opened cache.
+ * @param {string} cacheName - The cache name.
+ * @returns {Promise<Array>} Records `{ url, size, lastAccess }`, oldest first.
+ */
+async function getEntriesByAge(cache, cacheName) {
+    const urls = (await cache.keys()).map(request => request.url);
+    const present = new Set(urls);
+    const records = (await getAllRecords(ENTRY_STORE)).filter(record => record.cacheName === cacheName);
+    const byUrl = new Map(records.map(record => [record.url, record]));
+
+    await Promise.all(records.filter(record => !present.has(record.url)).map(record => deleteRecord(ENTRY_STORE, record.id)));
+
+    return urls
+        .map(url => byUrl.get(url) || { id: getRecordId(cacheName, url), url, size: 0, lastAccess: Date.now() })
+        .sort((a, b) => a.lastAccess - b.lastAccess);
+}
+
+/**
+ * Deletes entries from a cache together with their metadata.
+ * @param {Cache} cache - The opened cache.
+ * @param {Array} entries - Records to delete.
+ * @returns {Promise} Resolves once the entries are deleted.
+ */
+function deleteEntries(cache, entries) {
+    return Promise.all(entries.map(entry => Promise.all([
+        cache.delete(entry.url),
+        deleteRecord(ENTRY_STORE, entry.id)
+    ])));
+}
+
+/**
+ * Evicts least-recently-used entries until the cache fits the `maxEntries`/`maxBytes` limits
+ * configured for its category in `cacheLimits`.
+ * @param {string} cacheName - The cache name.
+ * @returns {Promise} Resolves once the cache is within its limits.
+ */
+export async function enforceLimits(cacheName) {
+    const limits = (self.serverPreparedData.cacheLimits || {})[parseCacheName(cacheName).category];
+
+    if (!limits || (!limits.maxEntries && !limits.maxBytes)) return;
+
+    const cache = await caches.open(cacheName);
+    const entries = await getEntriesByAge(cache, cacheName);
+    let count = entries.length;
+    let size = entries.reduce((sum, entry) => sum + entry.size, 0);
+    const toEvict = [];
+
+    for (const entry of entries) {
+        if ((!limits.maxEntries || count <= limits.maxEntries) && (!limits.maxBytes || size <= limits.maxBytes)) break;
+
+        toEvict.push(entry);
+        count--;
+        size -= entry.size;
+    }
+
+    await deleteEntries(cache, toEvict);
+}
+
+/**
+ * Sheds static assets, least recently used first, when the origin's storage usage passes
+ * `quotaThreshold` (a fraction of the quota reported by `navigator.storage.estimate()`).
+ * Static assets go first because they are the cheapest to fetch again.
+ * Runs at most once per minute.
+ * @param {string} cacheName - Any category cache name of the current cache version.
+ * @returns {Promise} Resolves once enough space is freed, or right away when below the threshold.
+ */
+export async function shedOnQuota(cacheName) {
+    if (!navigator.storage || !navigator.storage.estimate || Date.now() - lastQuotaCheck < QUOTA_CHECK_INTERVAL) return;
+
+    lastQuotaCheck = Date.now();
+
+    const { usage, quota } = await navigator.storage.estimate();
+    const threshold = self.serverPreparedData.quotaThreshold || DEFAULT_QUOTA_THRESHOLD;
+
+    if (!quota || usage < quota * threshold) return;
+
+    const staticName = getCacheName(parseCacheName(cacheName).cacheId, CACHE_CATEGORIES.STATIC);
+    const cache = await caches.open(staticName);
+    const entries = await getEntriesByAge(cache, staticName);
+    let toFree = usage - quota * threshold;
+    const toEvict = [];
+
+    for (const entry of entries) {
+        if (toFree <= 0) break;
+
+        toEvict.push(entry);
+        toFree -= entry.size;
+    }
+
+    await deleteEntries(cache, toEvict);
+}
+
+/**
+ * Removes the metadata of caches that no longer exist (e.g. after a cache version change).
+ * @param {Array} cacheNames - Names of the caches in use.
+ * @returns {Promise} Resolves once stale metadata is removed.
+ */
+export async function pruneEntryRecords(cacheNames) {
+    const records = await getAllRecords(ENTRY_STORE);
+
+    await Promise.all(records
+        .filter(record => cacheNames.indexOf(record.cacheName) === -1)
+        .map(record => deleteRecord(ENTRY_STORE, record.id)));
+}
@@ -0,0 +1,170 @@
+/* eslint-disable no-restricted-globals */
+import { putWithTimestamp, matchFresh } from './cacheHelper';
+import { isStorable, getValidators, mergeNotModified } from './httpCacheHelper';
+import { getRefusal, logRefusal } from './safetyHelper';
+
+export const CACHE_FIRST = 'cache-first';
+export const STALE_WHILE_REVALIDATE = 'stale-while-revalidate';
+export const NETWORK_FIRST = 'network-first';
+export const NETWORK_ONLY = 'network-only';
+
+/**
+ * Checks whether the response headers drive caching, i.e. the rule did not opt out with `honorCacheHeaders: false`.
+ * @param {object} options - See `respondWithStrategy`.
+ * @returns {boolean} True if the caching headers are honored.
+ */
+function honorsHeaders(options) {
+    return options.honorCacheHeaders !== false;
+}
+
+/**
+ * Looks up the cached copy, fresh or not, when it carries an `ETag` or `Last-Modified` to revalidate with.
+ * @param {object} options - See `respondWithStrategy`.
+ * @returns {Promise<Response|null>} The cached response, or null when there is nothing to revalidate.
+ */
+async function matchRevalidatable(options) {
+    if (!options.key || !honorsHeaders(options)) return null;
+
+    const cached = await caches.open(options.cacheName).then(cache => cache.match(options.key));
+
+    return cached && getValidators(cached) ? cached : null;
+}
+
+/**
+ * Fetches a fresh copy from the network and stores it when the response is successful, its
+ * `Cache-Control` allows it and it passes the safety checks of safetyHelper.js. A response that may
+ * not be stored also removes the copy stored before; a refusal by the safety checks is logged.
+ * When a cached copy has validators, the request is conditional and a
+ * 304 Not Modified keeps the cached body, stored again with the refreshed headers.
+ * @param {object} options - See `respondWithStrategy`.
+ * @param {Function} [onResult] - Receives the `refused` outcome; defaults to `options.onResult`.
+ * @returns {Promise<Response>} The network response, or the revalidated cached one.
+ */
+async function fetchAndStore(options, onResult = options.onResult) {
+    const cached = await matchRevalidatable(options);
+    const response = await options.fetchFn(cached ? getValidators(cached) : null);
+
+    if (cached && response && response.status === 304) {
+        const refreshed = mergeNotModified(cached, response);
+        options.waitUntil(putWithTimestamp(options.cacheName, options.key, refreshed.clone()));
+
+        return refreshed;
+    }
+
+    const storeKey = options.storeKey ? options.storeKey(response) : options.key;
+
+    if (response && response.ok && storeKey) {
+        const refusal = await getRefusal(response, options.inspectBody);
+
+        if (refusal) {
+            onResult('refused');
+            options.waitUntil(logRefusal(response.url, typeof storeKey === 'string' ? storeKey : storeKey.url, refusal));
+        }
+
+        if (!refusal && (!honorsHeaders(options) || isStorable(response))) {
+            options.waitUntil(putWithTimestamp(options.cacheName, storeKey, response.clone()));
+        } else {
+            options.waitUntil(caches.open(options.cacheName).then(cache => cache.delete(storeKey)));
+        }
+    }
+
+    return response;
+}
+
+/**
+ * Looks up a fresh cached copy, unless the cache has to be bypassed because no key is known.
+ * @param {object} options - See `respondWithStrategy`.
+ * @returns {Promise<Response|undefined>} The cached response, or undefined on a miss.
+ */
+function matchCached(options) {
+    return options.key
+        ? matchFresh(options.cacheName, options.key, options.maxAge, honorsHeaders(options))
+        : Promise.resolve(undefined);
+}
+
+/**
+ * Runs a network request and reports one outcome for it: a miss, a network error when it fails,
+ * or the outcome the request reported itself (e.g. `refused`).
+ * @param {object} options - See `respondWithStrategy`.
+ * @param {Function} request - Receives a function to report an outcome with, and returns a promise for the network response.
+ * @returns {Promise<Response>} The network response.
+ */
+async function fetchReported(options, request) {
+    let reported = false;
+    const report = (outcome) => {
+        reported = true;
+        options.onResult(outcome);
+    };
+
+    try {
+        const response = await request(report);
+        if (!reported) options.onResult('miss');
+
+        return response;
+    } catch (err) {
+        options.onResult('networkError');
+        throw err;
+    }
+}
+
+/**
+ * Resolves a request according to the configured caching strategy:
+ * - `cache-first`: serve a fresh cached copy, otherwise fetch and store.
+ * - `stale-while-revalidate`: serve a fresh cached copy and refresh it in the background.
+ * - `network-first`: fetch and store, falling back to the cached copy when the network fails.
+ * - `network-only`: always fetch, never touch the cache.
+ * Unknown strategies fall back to `cache-first`, which is the historical behavior.
+ * Unless `honorCacheHeaders` is false, the response headers take part as an HTTP cache would:
+ * `no-store`/`private` responses are not stored, `s-maxage`/`max-age`/`Expires` set the lifetime when
+ * there is no `maxAge`, and expired copies are revalidated with `If-None-Match`/`If-Modified-Since`.
+ * @param {string} strategy - One of the strategy constants exported by this module.
+ * @param {object} options - Strategy options.
+ * @param {string} options.cacheName - Name of the cache storage.
+ * @param {string|Request|null} options.key - Cache key to look up; null bypasses the cache lookup.
+ * @param {Function} [options.storeKey] - Returns the key to store a network response under (null skips storing);
+ * defaults to `options.key`.
+ * @param {number} [options.maxAge] - Time-to-live in seconds for cached entries; the response headers decide when empty.
+ * @param {boolean} [options.honorCacheHeaders] - False ignores `Cache-Control`, `Expires` and validators.
+ * @param {boolean} [options.inspectBody] - Match the body against `safety.bodyPatterns` before storing it.
+ * @param {Function} options.fetchFn - Returns a promise for the network response. Receives the conditional
+ * headers to send when a cached copy is revalidated, null otherwise.
+ * @param {Function} [options.waitUntil] - Extends the worker lifetime for background work.
+ * @param {Function} [options.onResult] - Called with the outcome for telemetry:
+ * `hit`, `miss`, `stale` (outdated copy served because the network failed), `networkError` or
+ * `refused` (not stored by the safety checks).
+ * @returns {Promise<Response>} The response to hand to the page.
+ */
+export async function respondWithStrategy(strategy, options) {
+    const opts = { waitUntil: () => {}, onResult: () => {}, ...options };
+
+    if (strategy === NETWORK_ONLY) {
+        return fetchReported(opts, () => opts.fetchFn());
+    }
+
+    if (strategy === NETWORK_FIRST) {
+        try {
+            return await fetchReported(opts, report => fetchAndStore(opts, report));
+        } catch (err) {
+            const cached = await matchCached(opts);
+            if (cached) {
+                opts.onResult('stale');
+                return cached;
+            }
+            throw err;
+        }
+    }
+
+    const cached = await matchCached(opts);
+
+    if (cached) {
+        opts.onResult('hit');
+
+        if (strategy === STALE_WHILE_REVALIDATE) {
+            opts.waitUntil(fetchAndStore(opts).catch(() => {}));
+        }
+
+        return cached;
+    }
+
+    return fetchReported(opts, report => fetchAndStore(opts, report));
+}
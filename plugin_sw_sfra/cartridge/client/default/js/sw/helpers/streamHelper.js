@@ -1,70 +1,92 @@
 /* eslint-disable no-restricted-globals */
+import { respondWithStrategy } from './strategyHelper';
+import { buildCacheKey, buildStoreKey, restoreDimensions } from './cacheKeyHelper';
+import { recordEvent, recordComposeTime, TELEMETRY_EVENTS } from './telemetryHelper';
+
 const PLACEHOLDER_PREFIX = '$sw';
-const LAST_BYTES_COUNT = 20; // Max placeholder length assumed
+const PLACEHOLDER_END = 0x24; // '$', closes the argument of a parameterized placeholder
+const DEFAULT_ARGUMENT_MAX_LENGTH = 64;
+// Parameterized placeholders are only taken from HTML comments, which escaped text (e.g. an echoed search term) cannot open
+const MARKER_OPEN = '<!--';
+const MARKER_CLOSE = '-->';
 
 export const X_SF_CC_SITEID = 'x-sf-cc-siteid';
 export const X_SF_CC_REQUESTLOCALE = 'x-sf-cc-requestlocale';
 
+// Fallbacks a part can list in its `fallback` chain, tried in order when the part cannot be loaded
+const FALLBACK_STALE = 'stale';
+const FALLBACK_SNIPPET = 'snippet';
+export const FALLBACK_CLIENT = 'client';
+
+/**
+ * Checks whether a byte may be part of a placeholder argument: letters, digits, `_`, `-` and `.`.
+ * @param {number} byte - The byte to check.
+ * @returns {boolean} True if the byte is allowed in an argument.
+ */
+function isArgumentByte(byte) {
+    return (byte >= 0x30 && byte <= 0x39) || (byte >= 0x41 && byte <= 0x5a) || (byte >= 0x61 && byte <= 0x7a) ||
+        byte === 0x5f || byte === 0x2d || byte === 0x2e;
+}
+
 /**
- * Streams byte array to detect if any placeholders match at a specific index.
- * Evaluates each placeholder byte-by-byte. Non-matching candidates are excluded.
- * Returns the matched placeholder config with its start/end positions, or null.
+ * Checks whether a byte sequence occurs at a specific index.
  * @param {Uint8Array} bytes - The byte array to search.
- * @param {number} startIndex - The index to start scanning from.
- * @param {Uint8Array} prefixBytes - The byte representation of the '$sw' prefix.
- * @param {Array} placeholderConfigs - List of available placeholder configurations.
- * @returns {object|null} The matching placeholder config with position data, or null.
+ * @param {number} index - The index the sequence must start at.
+ * @param {Uint8Array} sequence - The expected bytes.
+ * @returns {boolean} True if the sequence occurs at the index.
  */
-function findMatchingPlaceholder(bytes, startIndex, prefixBytes, placeholderConfigs) {
-    const len = bytes.length;
-    let i = startIndex;
-    let idx = 0;
-    let allFinished = false;
-    let found = false;
-    let matchData = null;
-
-    const candidates = placeholderConfigs.map(config => ({
-        config,
-        bytes: config.placeholderBytes,
-        length: config.placeholderBytes.length,
-        matched: config.placeholderBytes[0] === bytes[i],
-        finished: config.placeholderBytes.length === 1
-    }));
-
-    i++;
-    idx++;
-
-    while (i < len && candidates.length && !allFinished && !found) {
-        allFinished = true;
-
-        for (let k = candidates.length - 1; k >= 0; k--) {
-            const c = candidates[k];
-            if (idx < c.length) {
-                c.matched = c.matched && c.bytes[idx] === bytes[i];
-            }
-            if (idx === c.length - 1) {
-                c.finished = true;
-            }
+function hasBytesAt(bytes, index, sequence) {
+    if (index < 0 || index + sequence.length > bytes.length) return false;
 
-            allFinished = allFinished && c.finished;
-            found = found || (c.finished && c.matched);
+    return sequence.every((byte, i) => bytes[index + i] === byte);
+}
 
-            if (!c.matched) {
-                candidates.splice(k, 1);
-            }
-        }
+/**
+ * Checks whether a placeholder matches at a specific index, right after the '$sw' prefix.
+ * Fixed placeholders (`$swheader$`) must match byte-by-byte. Parameterized placeholders must be
+ * the server-emitted marker `<!--$swslot:` + argument + `$-->`, with an argument of at most
+ * `argumentMaxLength` allowed bytes; anything else, such as a placeholder echoed in escaped
+ * search text, is left in the page as it is.
+ * @param {Uint8Array} bytes - The byte array to search.
+ * @param {number} startIndex - The index right after the prefix.
+ * @param {object} matcher - `{ prefixBytes, configs, argumentMaxLength, markerOpenBytes, markerCloseBytes }`.
+ * @returns {object|null} `{ config, argument, start, end }`, where `start`/`end` are the indexes of the
+ * first and last byte of the placeholder, including its marker, or null if no placeholder matches.
+ */
+function findMatchingPlaceholder(bytes, startIndex, matcher) {
+    const { prefixBytes, configs, argumentMaxLength, markerOpenBytes, markerCloseBytes } = matcher;
 
-        i++;
-        idx++;
-    }
+    for (const config of configs) {
+        const name = config.placeholderBytes;
+        let i = 0;
 
-    if (found) {
-        matchData = candidates[0];
-        matchData.end = i - 1;
-        matchData.start = matchData.end - matchData.length - prefixBytes.length + 1;
+        while (i < name.length && bytes[startIndex + i] === name[i]) i++;
+
+        if (i === name.length) {
+            let start = startIndex - prefixBytes.length;
+            let end = startIndex + name.length - 1;
+            let argument = null;
+
+            if (config.parameter) {
+                const argumentStart = end + 1;
+                let j = argumentStart;
+
+                while (j < bytes.length && j - argumentStart < argumentMaxLength && isArgumentByte(bytes[j])) j++;
+
+                if (j === argumentStart || bytes[j] !== PLACEHOLDER_END) continue;
+                if (!hasBytesAt(bytes, start - markerOpenBytes.length, markerOpenBytes) ||
+                    !hasBytesAt(bytes, j + 1, markerCloseBytes)) continue;
+
+                argument = new TextDecoder().decode(bytes.slice(argumentStart, j));
+                start -= markerOpenBytes.length;
+                end = j + markerCloseBytes.length;
+            }
+
+            return { config, argument, start, end };
+        }
     }
 
-    return matchData;
+    return null;
 }
 
 /**
@@ -75,10 +97,9 @@ function findMatchingPlaceholder(bytes, startIndex, prefixBytes, placeholderConf
  *   - after placeholder
  *   - leftover bytes to handle boundary cases
  *
- * Preserves last bytes if not final chunk to catch split placeholders.
+ * Preserves the last `tailLength` bytes if not final chunk to catch split placeholders.
  * @param {Uint8Array} bytes - Byte array to search through.
- * @param {Uint8Array} prefixBytes - Byte sequence of the placeholder prefix (e.g., '$sw').
- * @param {Array} placeholderConfigs - List of placeholder configurations with encoded byte values.
+ * @param {object} matcher - The matcher built by `encodePlaceholderConfigs`.
  * @param {boolean} isFinal - Whether this is the final chunk; affects handling of leftover bytes.
  * @returns {object} Object containing:
  *   - found (object|null),
@@ -86,40 +107,31 @@ function findMatchingPlaceholder(bytes, startIndex, prefixBytes, placeholderConf
  *   - after (Uint8Array|null),
  *   - leftover (Uint8Array|null).
  */
-function extractPlaceholderChunk(bytes, prefixBytes, placeholderConfigs, isFinal) {
+function extractPlaceholderChunk(bytes, matcher, isFinal) {
+    const { prefixBytes, tailLength } = matcher;
     const len = bytes.length;
-    let pointer = 0;
-    let prefixIdx = 0;
     let found = null;
     let before = bytes;
     let after = null;
     let leftover = null;
 
-    while (pointer < len && !found) {
-        while (
-            bytes[pointer] === prefixBytes[prefixIdx] &&
-            prefixIdx < prefixBytes.length &&
-            pointer < len
-            ) {
-                prefixIdx++;
-                pointer++;
-            }
+    for (let pointer = 0; pointer + prefixBytes.length < len && !found; pointer++) {
+        let prefixIdx = 0;
 
-        if (prefixIdx === prefixBytes.length && pointer < len) {
-            found = findMatchingPlaceholder(bytes, pointer, prefixBytes, placeholderConfigs);
-        }
+        while (prefixIdx < prefixBytes.length && bytes[pointer + prefixIdx] === prefixBytes[prefixIdx]) prefixIdx++;
 
-        prefixIdx = 0;
-        pointer++;
+        if (prefixIdx === prefixBytes.length) {
+            found = findMatchingPlaceholder(bytes, pointer + prefixIdx, matcher);
+        }
     }
 
     if (found) {
         before = bytes.slice(0, found.start);
         after = bytes.slice(found.end + 1);
     } else if (!isFinal) {
-        if (before.length > LAST_BYTES_COUNT) {
-            leftover = before.slice(before.length - LAST_BYTES_COUNT);
-            before = before.slice(0, before.length - LAST_BYTES_COUNT);
+        if (before.length > tailLength) {
+            leftover = before.slice(before.length - tailLength);
+            before = before.slice(0, before.length - tailLength);
         } else {
             leftover = before;
             before = null;
@@ -130,13 +142,19 @@ function extractPlaceholderChunk(bytes, prefixBytes, placeholderConfigs, isFinal
 }
 
 /**
- * Encodes placeholders from config into byte sequences for stream matching.
+ * Encodes placeholders from config into byte sequences for stream matching, and computes how many
+ * trailing bytes of a chunk must be held back so that a placeholder split across two chunks is still
+ * found: one byte less than the longest possible placeholder, including its argument and marker.
  * @param {Array} cachedParts - The original placeholder configuration passed to the service worker.
- * @returns {object} An object containing:
+ * @param {number} argumentMaxLength - Maximum length of a placeholder argument.
+ * @returns {object} The matcher for `extractPlaceholderChunk`:
  *   - `prefixBytes`: Byte representation of the placeholder prefix.
- *   - `configs `: Array of placeholder configurations with encoded byte values.
+ *   - `configs`: Array of placeholder configurations with encoded byte values.
+ *   - `argumentMaxLength`: Maximum length of a placeholder argument.
+ *   - `markerOpenBytes`/`markerCloseBytes`: The HTML comment around parameterized placeholders.
+ *   - `tailLength`: Number of trailing bytes held back between chunks.
  */
-function encodePlaceholderConfigs(cachedParts) {
+function encodePlaceholderConfigs(cachedParts, argumentMaxLength) {
     const encoder = new TextEncoder();
     const prefixBytes = encoder.encode(PLACEHOLDER_PREFIX);
     const configs = cachedParts.map(c => {
@@ -146,8 +164,20 @@ function encodePlaceholderConfigs(cachedParts) {
 
         return { ...c, placeholderBytes: encoder.encode(c.placeholder.slice(PLACEHOLDER_PREFIX.length)) };
     });
-
-    return { prefixBytes, configs };
+    const markerOpenBytes = encoder.encode(MARKER_OPEN);
+    const markerCloseBytes = encoder.encode(MARKER_CLOSE);
+    const markerLength = markerOpenBytes.length + markerCloseBytes.length;
+    const maxLength = configs.reduce((max, c) => Math.max(max,
+        prefixBytes.length + c.placeholderBytes.length + (c.parameter ? argumentMaxLength + 1 + markerLength : 0)), 0);
+
+    return {
+        prefixBytes,
+        configs,
+        argumentMaxLength,
+        markerOpenBytes,
+        markerCloseBytes,
+        tailLength: Math.max(maxLength - 1, 0)
+    };
 }
 
 /**
@@ -166,33 +196,121 @@ function buildInitHeaders(fromResponse) {
     return init;
 }
 
+/**
+ * Fetches a part from the network, giving up after the part's `timeout` so a slow part
+ * does not stall the whole document stream. The timeout covers the whole body, not only the
+ * headers: the body is read in full before the part is handed on. Error statuses are treated
+ * as failures, so they are neither cached nor spliced into the page.
+ * @param {string} url - The part URL.
+ * @param {number} [timeout] - Milliseconds to wait for the response; zero or empty waits indefinitely.
+ * @param {object|null} [validators] - Conditional headers revalidating the cached copy; a 304 is then a success.
+ * @returns {Promise<Response>} The successful network response.
+ */
+async function fetchPart(url, timeout, validators) {
+    const controller = new AbortController();
+    const timer = timeout ? setTimeout(() => controller.abort(), timeout) : null;
+
+    try {
+        const response = await fetch(new Request(url, { headers: validators || {} }), { signal: controller.signal });
+        if (!response.ok && !(validators && response.status === 304)) {
+            throw new Error(`Part ${url} responded with status ${response.status}`);
+        }
+
+        // Reading a clone buffers the body of the response, which is then read without waiting
+        await response.clone().arrayBuffer();
+
+        return response;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Escapes a value for use inside a double-quoted HTML attribute.
+ * @param {string} value - The raw value.
+ * @returns {string} The escaped value.
+ */
+function escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Walks the part's `fallback` chain and returns the markup of the first option that applies:
+ * - `stale`: the cached copy, even when older than `maxAge`.
+ * - `snippet`: the part's static `fallbackSnippet`.
+ * - `client`: an empty marker that sw/part-fallback.js replaces by loading the part from the page.
+ * An exhausted chain leaves the placeholder empty.
+ * @param {object} partConfig - Configuration for the part that failed.
+ * @param {string} url - The part URL.
+ * @param {string} cacheName - The name of the cache storage to use.
+ * @param {string|null} key - The part's cache key, null when unknown.
+ * @returns {Promise<string>} The markup to insert in place of the part.
+ */
+async function resolvePartFallback(partConfig, url, cacheName, key) {
+    for (const fallback of partConfig.fallback || []) {
+        if (fallback === FALLBACK_STALE && key) {
+            const stale = await caches.open(cacheName).then(cache => cache.match(key)).catch(() => null);
+            if (stale) return stale.text();
+        } else if (fallback === FALLBACK_SNIPPET && partConfig.fallbackSnippet) {
+            return partConfig.fallbackSnippet;
+        } else if (fallback === FALLBACK_CLIENT) {
+            return `<div hidden data-sw-part-fallback="${escapeAttribute(url)}" data-sw-part="${escapeAttribute(partConfig.cacheSuffix)}"></div>`;
+        }
+    }
+
+    return '';
+}
+
 /**
  * Retrieves or fetches and caches a response fragment based on cache rules.
+ * The part's `strategy` decides whether the cache or the network is consulted first,
+ * and entries older than the part's `maxAge` are treated as misses.
+ * The key includes the part's `keyDimensions`, so content rendered for another shopper is never reused.
+ * A parameterized part (e.g. `<!--$swslot:header-banner-m$-->`) passes its argument in the part's `parameter`
+ * and is cached per argument.
+ * When the part cannot be loaded (network error, error status or timeout), its fallback chain is used
+ * instead. This never rejects: the navigation was sent without the part, so a failure here must not
+ * break off the document stream.
  * @param {object} partConfig - Configuration for the specific cacheable part.
  * @param {string} siteId - The current site identifier.
  * @param {string} locale - The current request locale.
- * @param {string} cacheId - The name of the cache storage to use.
+ * @param {string} cacheName - The name of the cache storage to use.
+ * @param {string|null} argument - The argument of a parameterized placeholder, null otherwise.
+ * @param {Function} waitUntil - Extends the worker lifetime for background work, e.g. a stale-while-revalidate refresh.
  * @returns {object} An object containing `value`, a Uint8Array of the cached content.
  */
-async function fetchOrCachePart(partConfig, siteId, locale, cacheId) {
-    const key = `${siteId}.${locale}.${partConfig.cacheSuffix}`;
-    let resp = await caches.match(key);
-
-    if (!resp) {
-        let url = partConfig.url
-            .replace(`-${self.serverPreparedData.urlSiteId}-`, `-${siteId}-`)
-            .replace(`/${self.serverPreparedData.urlLocale}/`, `/${locale}/`);
-
-        resp = await fetch(new Request(url));
-        if (resp && resp.ok) {
-            const cache = await caches.open(cacheId);
-            await cache.put(key, resp.clone());
-        }
+async function fetchOrCachePart(partConfig, siteId, locale, cacheName, argument, waitUntil) {
+    const url = new URL(partConfig.url
+        .replace(`-${self.serverPreparedData.urlSiteId}-`, `-${siteId}-`)
+        .replace(`/${self.serverPreparedData.urlLocale}/`, `/${locale}/`), self.location);
+    const rule = argument ? { ...partConfig, argument } : partConfig;
+
+    if (argument) url.searchParams.set(partConfig.parameter, argument);
+
+    await restoreDimensions();
+
+    const key = buildCacheKey(siteId, locale, rule);
+
+    try {
+        const resp = await respondWithStrategy(partConfig.strategy, {
+            cacheName,
+            key,
+            storeKey: response => buildStoreKey(siteId, locale, rule, response),
+            maxAge: partConfig.maxAge,
+            honorCacheHeaders: partConfig.honorCacheHeaders,
+            inspectBody: true,
+            waitUntil,
+            fetchFn: validators => fetchPart(url.href, partConfig.timeout, validators),
+            onResult: outcome => waitUntil(recordEvent('part', partConfig.cacheSuffix, outcome))
+        });
+
+        return { value: new Uint8Array(await resp.arrayBuffer()) };
+    } catch (err) {
+        const fallback = await resolvePartFallback(partConfig, url.href, cacheName, key);
+        waitUntil(recordEvent('part', partConfig.cacheSuffix, TELEMETRY_EVENTS.FALLBACK));
+
+        return { value: new TextEncoder().encode(fallback) };
     }
-
-    const data = new Uint8Array(await resp.arrayBuffer());
-    
-    return { value: data };
 }
 
 /**
@@ -217,28 +335,49 @@ function combineUint8Arrays(...arrays) {
  * Creates a streaming Response that replaces placeholders on-the-fly using cached or fetched parts.
  * Reads the base response as a stream and searches for configured placeholders.
  * When found, these placeholders are replaced on-the-fly using content fetched from cache (or network).
+ * The time until the stream completes is reported to telemetry.
+ * Background work of the parts (stale-while-revalidate refreshes, cache writes, telemetry) is passed to `waitUntil`
+ * as a single promise, registered right away while the fetch event is still active, that settles once
+ * the stream has ended and that work is done.
  * @param {Response} baseResponse - The original server response to process.
  * @param {Array} cachedParts - Configuration objects for placeholder replacements.
- * @param {string} cacheId - Cache storage name used to retrieve or store parts.
+ * @param {string} cacheName - Cache storage name used to retrieve or store parts.
+ * @param {Function} [waitUntil] - The fetch event's `waitUntil`, bound to the event.
  * @returns {Response} A new Response instance with streaming content.
  */
-export function createStream(baseResponse, cachedParts, cacheId) {
+export function createStream(baseResponse, cachedParts, cacheName, waitUntil) {
     const headersInit = buildInitHeaders(baseResponse);
     const siteId = headersInit.headers[X_SF_CC_SITEID];
     const locale = headersInit.headers[X_SF_CC_REQUESTLOCALE];
+    const background = [];
+    const keepAlive = promise => background.push(Promise.resolve(promise).catch(() => {}));
+    let release;
+    const ended = new Promise(resolve => (release = resolve));
+
+    if (waitUntil) {
+        // Work registered while earlier work settles is awaited as well
+        waitUntil(ended.then(async () => {
+            for (let i = 0; i < background.length; i++) await background[i];
+        }));
+    }
 
     const stream = new ReadableStream({
         async start(controller) {
+            this.startedAt = Date.now();
             this.reader = baseResponse.body.getReader();
-            const { prefixBytes, configs } = encodePlaceholderConfigs(cachedParts);
-            this.prefixBytes = prefixBytes;
-            this.configs = configs;
+            this.matcher = encodePlaceholderConfigs(cachedParts,
+                self.serverPreparedData.placeholderArgumentMaxLength || DEFAULT_ARGUMENT_MAX_LENGTH);
             this.queue = [this.readChunk()];
         },
         async readChunk() {
-            const res = await this.reader.read();
-            
-            return { ...res, isBase: true };
+            try {
+                const res = await this.reader.read();
+
+                return { ...res, isBase: true };
+            } catch (err) {
+                release();
+                throw err;
+            }
         },
         async nextFromQueue() {
             let item = await this.queue.shift();
@@ -255,21 +394,25 @@ export function createStream(baseResponse, cachedParts, cacheId) {
             
             return item;
         },
+        finish(controller) {
+            keepAlive(recordComposeTime(Date.now() - this.startedAt));
+            release();
+
+            return controller.close();
+        },
         async pull(controller) {
-            if (!this.queue.length || this.done) return controller.close();
+            if (!this.queue.length || this.done) return this.finish(controller);
 
             const { done, value, isBase } = await this.nextFromQueue();
             this.done = this.done || done;
-            if (this.done && !value) return controller.close();
+            if (this.done && !value) return this.finish(controller);
 
-            const { found, before, after, leftover } = extractPlaceholderChunk(
-                value, this.prefixBytes, this.configs, this.done
-            );
+            const { found, before, after, leftover } = extractPlaceholderChunk(value, this.matcher, this.done);
 
             if (before) controller.enqueue(before);
             if (leftover) this.queue.unshift(Promise.resolve({ value: leftover, merge: true }));
             if (after) this.queue.unshift(Promise.resolve({ value: after, merge: false }));
-            if (found) this.queue.unshift(fetchOrCachePart(found.config, siteId, locale, cacheId));
+            if (found) this.queue.unshift(fetchOrCachePart(found.config, siteId, locale, cacheName, found.argument, keepAlive));
             if (!this.done && isBase) this.queue.push(this.readChunk());
 
             return this.pull(controller);
@@ -277,6 +420,7 @@ export function createStream(baseResponse, cachedParts, cacheId) {
         cancel() {
             this.done = true;
             this.queue = [];
+            release();
         }
     });
 
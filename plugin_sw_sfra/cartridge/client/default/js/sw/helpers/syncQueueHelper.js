@@ -0,0 +1,139 @@
+/* eslint-disable no-restricted-globals */
+import { addRecord, getAllRecords, deleteRecord } from './idbHelper';
+import { matchesRoutes } from './routeHelper';
+
+export const SYNC_TAG = 'sw-sync-queue';
+const QUEUE_STORE = 'syncQueue';
+const FORM_CONTENT_TYPE = 'application/x-www-form-urlencoded';
+
+let retryTimer = null;
+
+/**
+ * Checks whether a request targets one of the routes that may be queued while offline.
+ * The site and locale segment of the URL is ignored, as in the cache-clean triggers.
+ * @param {Request} request - The intercepted request.
+ * @param {object} [routes] - `{ urls, globs }` of the queueable routes.
+ * @returns {boolean} True if the request can be queued for a later replay.
+ */
+export function isQueueableRequest(request, routes) {
+    return request.method !== 'GET' && !!routes && matchesRoutes(request.url, routes);
+}
+
+/**
+ * Serializes a request and stores it in IndexedDB for a later replay.
+ * @param {Request} request - An unread copy of the request that failed.
+ * @returns {Promise} Resolves once the request is stored.
+ */
+export async function enqueueRequest(request) {
+    const headers = [];
+    request.headers.forEach((value, name) => headers.push([name, value]));
+
+    await addRecord(QUEUE_STORE, {
+        url: request.url,
+        method: request.method,
+        headers,
+        body: await request.text(),
+        queuedAt: Date.now()
+    });
+}
+
+/**
+ * Requests a fresh CSRF token, since the one in a queued form may have expired with the session.
+ * @param {string} csrfUrl - URL of the CSRF-Generate route.
+ * @returns {Promise<object|null>} The `{ tokenName, token }` pair, or null if it could not be generated.
+ */
+async function fetchCsrfToken(csrfUrl) {
+    if (!csrfUrl) return null;
+
+    try {
+        const response = await fetch(csrfUrl, { method: 'POST', credentials: 'same-origin' });
+        const json = await response.json();
+
+        return json && json.csrf ? json.csrf : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Replaces the CSRF token in a queued form body.
+ * @param {object} entry - The queued request record.
+ * @param {object|null} csrf - The fresh `{ tokenName, token }` pair.
+ * @returns {string} The request body to send.
+ */
+function refreshCsrfToken(entry, csrf) {
+    const contentType = (entry.headers.find(([name]) => name === 'content-type') || [])[1] || '';
+
+    if (!csrf || contentType.indexOf(FORM_CONTENT_TYPE) === -1) return entry.body;
+
+    const params = new URLSearchParams(entry.body);
+    if (!params.has(csrf.tokenName)) return entry.body;
+
+    params.set(csrf.tokenName, csrf.token);
+    return params.toString();
+}
+
+/**
+ * Sends every queued request to the server, oldest first.
+ * Requests that got any HTTP response are removed from the queue; a network error stops the replay
+ * so that the remaining requests keep their order for the next attempt.
+ * @param {object} options - Replay options.
+ * @param {string} options.csrfUrl - URL of the CSRF-Generate route.
+ * @param {number} options.maxAge - Queued requests older than this (in seconds) are dropped.
+ * @param {Function} options.onReplayed - Called with the URL and response of every replayed request.
+ * @returns {Promise<boolean>} True when the queue is empty afterwards.
+ */
+export async function replayQueue(options) {
+    const entries = await getAllRecords(QUEUE_STORE);
+    let csrf = null;
+
+    if (entries.length) {
+        csrf = await fetchCsrfToken(options.csrfUrl);
+    }
+
+    for (const entry of entries) {
+        if (options.maxAge && Date.now() - entry.queuedAt > options.maxAge * 1000) {
+            await deleteRecord(QUEUE_STORE, entry.id);
+            continue;
+        }
+
+        let response;
+        try {
+            response = await fetch(entry.url, {
+                method: entry.method,
+                headers: entry.headers,
+                body: refreshCsrfToken(entry, csrf),
+                credentials: 'same-origin'
+            });
+        } catch (err) {
+            return false;
+        }
+
+        await deleteRecord(QUEUE_STORE, entry.id);
+        await options.onReplayed(entry.url, response);
+    }
+
+    return true;
+}
+
+/**
+ * Schedules a replay of the queue once connectivity returns.
+ * Uses the Background Sync API where available and falls back to a timer otherwise.
+ * @param {Function} replay - Runs the replay and resolves to true when the queue is empty.
+ * @param {number} retryInterval - Timer fallback delay in milliseconds.
+ * @returns {Promise} Resolves once the replay is scheduled.
+ */
+export async function scheduleReplay(replay, retryInterval) {
+    if (self.registration.sync) {
+        await self.registration.sync.register(SYNC_TAG);
+        return;
+    }
+
+    if (retryTimer) return;
+
+    retryTimer = setTimeout(async () => {
+        retryTimer = null;
+        const done = await replay().catch(() => false);
+        if (!done) scheduleReplay(replay, retryInterval);
+    }, retryInterval);
+}
@@ -0,0 +1,164 @@
+/* eslint-disable no-restricted-globals */
+import { putRecord, getRecord, getAllRecords, deleteRecord } from './idbHelper';
+
+const TELEMETRY_STORE = 'telemetry';
+const PERSIST_DELAY = 5000;
+
+/**
+ * Counters kept per rule or resource type:
+ * - hit: served from a fresh cache entry.
+ * - miss: fetched from the network.
+ * - stale: served from an outdated cache entry because the network failed.
+ * - networkError: the network request failed.
+ * - offline: the offline page was served instead of a navigation.
+ * - fallback: a part was replaced by its fallback chain.
+ * - refused: a response was not stored because it failed the safety checks (see safetyHelper.js).
+ * - composeTime/composeCount: total milliseconds and number of streamed page compositions.
+ */
+export const TELEMETRY_EVENTS = {
+    HIT: 'hit',
+    MISS: 'miss',
+    STALE: 'stale',
+    NETWORK_ERROR: 'networkError',
+    OFFLINE: 'offline',
+    FALLBACK: 'fallback',
+    REFUSED: 'refused'
+};
+
+// Counters not yet written to IndexedDB, by record id
+let pending = {};
+// Pending write of the counters, shared by the events batched into it
+let persistPromise = null;
+let lastFlush = Date.now();
+
+/**
+ * Reads the telemetry settings the worker was installed with.
+ * @returns {object} `{ enabled, sampleRate, flushInterval, url }`
+ */
+function getSettings() {
+    return self.serverPreparedData.telemetry || {};
+}
+
+/**
+ * Adds values to the pending counters of a rule.
+ * @param {string} type - Kind of resource: `navigation`, `part`, `ajax` or `static`.
+ * @param {string} name - Rule or resource name, e.g. a cache suffix or a request destination.
+ * @param {object} values - Counter increments.
+ */
+function addPending(type, name, values) {
+    const id = `${type}:${name}`;
+    const counters = pending[id] || (pending[id] = { id, type, name });
+
+    Object.keys(values).forEach((key) => {
+        counters[key] = (counters[key] || 0) + values[key];
+    });
+}
+
+/**
+ * Sends the stored counters to the ServiceWorker-Telemetry controller and deletes them once accepted.
+ * `keepalive` lets the request outlive the worker if the browser stops it meanwhile.
+ * @returns {Promise} Resolves once the counters are sent, or left in place for the next attempt.
+ */
+async function flush() {
+    const settings = getSettings();
+    const records = await getAllRecords(TELEMETRY_STORE);
+
+    lastFlush = Date.now();
+    if (!records.length) return;
+
+    const response = await fetch(settings.url, {
+        method: 'POST',
+        keepalive: true,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            sampleRate: settings.sampleRate,
+            configVersion: self.serverPreparedData.configVersion,
+            counters: records
+        })
+    });
+
+    if (response.ok) {
+        await Promise.all(records.map(record => deleteRecord(TELEMETRY_STORE, record.id)));
+    }
+}
+
+/**
+ * Adds the pending counters to the ones stored in IndexedDB, then flushes them when the flush interval has passed.
+ * @returns {Promise} Resolves once the counters are stored.
+ */
+async function persist() {
+    const batch = pending;
+
+    pending = {};
+    persistPromise = null;
+
+    await Promise.all(Object.keys(batch).map(async (id) => {
+        const stored = await getRecord(TELEMETRY_STORE, id) || { id, type: batch[id].type, name: batch[id].name };
+
+        Object.keys(batch[id]).forEach((key) => {
+            if (typeof batch[id][key] === 'number') {
+                stored[key] = (stored[key] || 0) + batch[id][key];
+            }
+        });
+        await putRecord(TELEMETRY_STORE, stored);
+    }));
+
+    if (Date.now() - lastFlush >= getSettings().flushInterval) {
+        await flush();
+    }
+}
+
+/**
+ * Decides whether an event is counted, based on the configured sample rate.
+ * @returns {boolean} True if the event is sampled.
+ */
+function isSampled() {
+    const settings = getSettings();
+
+    return !!settings.enabled && Math.random() < settings.sampleRate;
+}
+
+/**
+ * Writes the pending counters to IndexedDB a few seconds after the first one, to batch writes.
+ * @returns {Promise} Resolves once the batch is written, never rejects.
+ */
+function schedulePersist() {
+    if (!persistPromise) {
+        persistPromise = new Promise(resolve => setTimeout(resolve, PERSIST_DELAY))
+            .then(persist)
+            .catch(() => {});
+    }
+
+    return persistPromise;
+}
+
+/**
+ * Counts an event, subject to the configured sample rate. Counters are batched in memory,
+ * written to IndexedDB a few seconds later and sent to the server every `flushInterval`.
+ * Telemetry never affects the response: failures are ignored.
+ * Pass the returned promise to the event's `waitUntil`, so the browser keeps the worker alive until the write.
+ * @param {string} type - Kind of resource: `navigation`, `part`, `ajax` or `static`.
+ * @param {string} name - Rule or resource name, e.g. a cache suffix or a request destination.
+ * @param {string} event - One of TELEMETRY_EVENTS.
+ * @returns {Promise} Resolves once the counter is written, never rejects.
+ */
+export function recordEvent(type, name, event) {
+    if (!isSampled()) return Promise.resolve();
+
+    addPending(type, name, { [event]: 1 });
+
+    return schedulePersist();
+}
+
+/**
+ * Records how long a streamed page composition took, subject to the configured sample rate.
+ * @param {number} duration - Milliseconds from the network response to the end of the stream.
+ * @returns {Promise} Resolves once the time is written, never rejects.
+ */
+export function recordComposeTime(duration) {
+    if (!isSampled()) return Promise.resolve();
+
+    addPending('navigation', 'document', { composeTime: Math.round(duration), composeCount: 1 });
+
+    return schedulePersist();
+}
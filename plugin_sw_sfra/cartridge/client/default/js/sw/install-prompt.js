@@ -0,0 +1,37 @@
+/**
+ * Captures the browser's install prompt so the storefront can offer installation at a moment of its choosing.
+ * Buttons marked with `data-sw-install` (see components/serviceWorker/installButton.isml) stay hidden
+ * until the browser reports the site as installable, and are hidden again once the app is installed.
+ * Pages without such a button keep the browser's own install UI.
+ */
+function initInstallPrompt() {
+    let deferredPrompt = null;
+    const $buttons = $('[data-sw-install]');
+
+    if (!$buttons.length) return;
+
+    window.addEventListener('beforeinstallprompt', (event) => {
+        event.preventDefault();
+        deferredPrompt = event;
+        $buttons.removeClass('d-none');
+        $(document).trigger('sw:installAvailable');
+    });
+
+    window.addEventListener('appinstalled', () => {
+        deferredPrompt = null;
+        $buttons.addClass('d-none');
+        $(document).trigger('sw:installed');
+    });
+
+    $buttons.on('click', () => {
+        if (!deferredPrompt) return;
+
+        deferredPrompt.prompt();
+        deferredPrompt.userChoice.then(() => {
+            deferredPrompt = null;
+            $buttons.addClass('d-none');
+        });
+    });
+}
+
+module.exports = initInstallPrompt;
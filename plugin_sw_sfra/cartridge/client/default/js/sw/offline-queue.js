@@ -0,0 +1,75 @@
+const { EVENT_TYPES } = require('./helpers/messageTypes');
+
+// Replays reported within this delay are shown as one result
+const REPLAY_DELAY = 500;
+// How long the replay result stays visible
+const RESULT_DURATION = 5000;
+
+let replays = [];
+let replayTimer = null;
+let hideTimer = null;
+
+/**
+ * Shows a message in the queue status element (components/serviceWorker/queueStatus.isml).
+ * @param {jQuery} $status - The status element.
+ * @param {string} alertClass - Bootstrap alert class, e.g. `alert-success`.
+ * @param {string} text - The message.
+ * @param {number} [duration] - Milliseconds until the message is hidden; it stays until replaced otherwise.
+ */
+function showStatus($status, alertClass, text, duration) {
+    clearTimeout(hideTimer);
+    $status.removeClass('d-none alert-warning alert-success alert-danger').addClass(alertClass).text(text);
+
+    if (duration) {
+        hideTimer = setTimeout(() => $status.addClass('d-none'), duration);
+    }
+}
+
+/**
+ * Reports the replays collected since the last report: `sw:replayed` is triggered with the list of
+ * `{ url, ok, status }` results, and the status element tells whether every change was sent.
+ * @param {jQuery} $status - The status element.
+ */
+function reportReplays($status) {
+    const results = replays;
+
+    replays = [];
+    $(document).trigger('sw:replayed', { results });
+
+    if (!$status.length) return;
+
+    if (results.every(result => result.ok)) {
+        showStatus($status, 'alert-success', $status.data('msg-replayed'), RESULT_DURATION);
+    } else {
+        showStatus($status, 'alert-danger', $status.data('msg-failed'), RESULT_DURATION);
+    }
+}
+
+/**
+ * Keeps the shopper informed about requests the service worker queued while offline (see
+ * `respondToQueueable` in service-worker.js). A queued answer (`queued: true`) triggers `sw:queued` and
+ * shows the waiting state; when the worker reports the replay (`SYNC_REPLAYED`), the result is shown.
+ * The minicart is refreshed by sw/cache-sync.js, since the replay applies the usual invalidations.
+ */
+module.exports = function () {
+    const $status = $('[data-sw-queue-status]');
+
+    if (!('serviceWorker' in navigator)) return;
+
+    $(document).ajaxSuccess((event, xhr, settings) => {
+        if (!xhr.responseJSON || !xhr.responseJSON.queued) return;
+
+        $(document).trigger('sw:queued', { url: settings.url });
+        if ($status.length) showStatus($status, 'alert-warning', $status.data('msg-queued'));
+    });
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        const data = event.data || {};
+
+        if (data.type !== EVENT_TYPES.SYNC_REPLAYED) return;
+
+        replays.push({ url: data.url, ok: data.ok, status: data.status });
+        clearTimeout(replayTimer);
+        replayTimer = setTimeout(() => reportReplays($status), REPLAY_DELAY);
+    });
+};
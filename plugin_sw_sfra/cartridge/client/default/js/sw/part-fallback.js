@@ -0,0 +1,28 @@
+/**
+ * Loads page parts the service worker could not deliver.
+ * When a cached part (e.g. the header) fails to load and its fallback chain ends in `client`,
+ * the worker leaves an empty `data-sw-part-fallback` marker in the page. Each marker is replaced
+ * by the part fetched from the page. `sw:partFallback` is triggered before the request and
+ * `sw:partLoaded` once the markup is in place, so storefront code can re-bind its handlers
+ * (e.g. the header menu).
+ */
+function loadFallbackParts() {
+    $('[data-sw-part-fallback]').each(function () {
+        const $marker = $(this);
+        const part = $marker.data('sw-part');
+        const url = $marker.data('sw-part-fallback');
+
+        $(document).trigger('sw:partFallback', { part, url });
+
+        $.ajax({
+            url,
+            method: 'GET',
+            dataType: 'html'
+        }).done((html) => {
+            $marker.replaceWith(html);
+            $(document).trigger('sw:partLoaded', { part });
+        });
+    });
+}
+
+module.exports = loadFallbackParts;
@@ -0,0 +1,140 @@
+/**
+ * Converts a base64url encoded VAPID public key into the byte array expected by PushManager.
+ * @param {string} base64String - The base64url encoded key.
+ * @returns {Uint8Array} - The decoded key.
+ */
+function urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    const rawData = window.atob(base64);
+
+    return Uint8Array.from(rawData, char => char.charCodeAt(0));
+}
+
+const SAVED_SUBSCRIPTION_KEY = 'sw-push-subscription';
+
+/**
+ * Sends the push subscription to the storefront so it can be stored for the current customer.
+ * The CSRF token rendered with the opt-in button is passed as a query parameter, next to the JSON body.
+ * @param {string} actionUrl - URL of the PushSubscription-Subscribe route.
+ * @param {object} csrf - `{ name, token }` of the CSRF token.
+ * @param {PushSubscription} subscription - The browser push subscription.
+ * @returns {Promise} - Resolves with the server response.
+ */
+function saveSubscription(actionUrl, csrf, subscription) {
+    return $.ajax({
+        url: actionUrl + (actionUrl.indexOf('?') === -1 ? '?' : '&') + $.param({ [csrf.name]: csrf.token }),
+        method: 'POST',
+        contentType: 'application/json',
+        data: JSON.stringify(subscription.toJSON()),
+        headers: {
+            'x-sf-cc-siteid': document.documentElement?.dataset?.siteid || '',
+            'x-sf-cc-requestlocale': document.documentElement?.dataset?.locale || ''
+        }
+    });
+}
+
+/**
+ * Reads the subscription last sent to the storefront.
+ * @returns {string|null} - The saved state, or null when unknown or storage is unavailable.
+ */
+function getSavedState() {
+    try {
+        return window.localStorage.getItem(SAVED_SUBSCRIPTION_KEY);
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Remembers the subscription sent to the storefront.
+ * @param {string} state - The saved state.
+ */
+function setSavedState(state) {
+    try {
+        window.localStorage.setItem(SAVED_SUBSCRIPTION_KEY, state);
+    } catch (err) {
+        // Without storage the subscription is sent again on the next page
+    }
+}
+
+/**
+ * Sends the subscription unless the same endpoint was already sent in the same login state,
+ * so it is posted once per subscription, and again after login or logout to (un)link the customer.
+ * @param {jQuery} $button - The opt-in button with the route and CSRF data attributes.
+ * @param {PushSubscription} subscription - The browser push subscription.
+ * @returns {Promise} - Resolves once the subscription is stored.
+ */
+async function syncSubscription($button, subscription) {
+    const state = `${subscription.endpoint}|${$button.data('authenticated')}`;
+
+    if (getSavedState() === state) return;
+
+    await saveSubscription($button.data('action-url'), {
+        name: $button.data('csrf-name'),
+        token: $button.data('csrf-token')
+    }, subscription);
+    setSavedState(state);
+}
+
+/**
+ * Returns the existing push subscription or creates a new one with the site's VAPID key.
+ * @param {string} vapidKey - The VAPID public key from the site preference.
+ * @returns {Promise<PushSubscription>} - The active push subscription.
+ */
+async function getOrCreateSubscription(vapidKey) {
+    const registration = await navigator.serviceWorker.ready;
+    const existing = await registration.pushManager.getSubscription();
+
+    return existing || registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(vapidKey)
+    });
+}
+
+/**
+ * Wires the push opt-in button rendered by components/serviceWorker/pushOptIn.isml.
+ * The permission prompt is shown only after the shopper clicks the button. When permission was
+ * granted earlier, the subscription is sent again if it changed, or the shopper logged in or out.
+ * A dismissed prompt or a failed subscription enables the button again.
+ */
+function initPushSubscription() {
+    const $button = $('[data-sw-push-subscribe]');
+
+    if (!$button.length || !('serviceWorker' in navigator) || !('PushManager' in window)) return;
+
+    const vapidKey = $button.data('vapid-key');
+
+    if (Notification.permission === 'granted') {
+        getOrCreateSubscription(vapidKey)
+            .then(subscription => syncSubscription($button, subscription))
+            .catch(() => {});
+        return;
+    }
+
+    if (Notification.permission === 'denied') return;
+
+    $button.removeClass('d-none').on('click', async function () {
+        $button.prop('disabled', true);
+
+        try {
+            const permission = await Notification.requestPermission();
+
+            if (permission === 'denied') {
+                $button.text($button.data('msg-denied'));
+                return;
+            }
+            if (permission !== 'granted') {
+                $button.prop('disabled', false);
+                return;
+            }
+
+            await syncSubscription($button, await getOrCreateSubscription(vapidKey));
+            $button.text($button.data('msg-subscribed'));
+        } catch (err) {
+            $button.prop('disabled', false);
+        }
+    });
+}
+
+module.exports = initPushSubscription;
@@ -1,3 +1,11 @@
+const swMessenger = require('./sw-messenger');
+
+const ROLLOUT_STORAGE_KEY = 'sw_rollout';
+// Set by ServiceWorker-Rollout with the visitor's bucket (see scripts/helpers/swRolloutHelper.js)
+const BUCKET_COOKIE = 'sw_bucket';
+// How long a decision is reused, so rollout changes reach returning visitors
+const ROLLOUT_DECISION_MAX_AGE = 60 * 60 * 1000;
+
 /**
  * Resolves the correct service worker path based on the current environment.
  * In development, the root is "/", but on sandbox instances it typically includes a site-specific prefix like "/s/SiteId/".
@@ -10,9 +18,106 @@ function resolveServiceWorkerPath(relativePath) {
     return (sandboxMatch ? sandboxMatch[1] : '') + relativePath;
 }
 
+/**
+ * Shows the "new version available" banner (components/serviceWorker/updateBanner.isml).
+ * Accepting activates the waiting worker; the page reloads once it has taken over.
+ * Dismissing leaves the update for the next navigation.
+ * @param {ServiceWorkerRegistration} registration - Registration with a waiting worker.
+ */
+function showUpdateBanner(registration) {
+    const $banner = $('[data-sw-update-banner]');
+    let accepted = false;
+
+    if (!$banner.length) return;
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (accepted) window.location.reload();
+    });
+
+    $banner.removeClass('d-none');
+    $banner.find('[data-sw-update-accept]').one('click', () => {
+        accepted = true;
+        $banner.addClass('d-none');
+        swMessenger.skipWaiting().catch(() => registration.update());
+    });
+    $banner.find('[data-sw-update-dismiss]').one('click', () => $banner.addClass('d-none'));
+}
+
+/**
+ * Watches the registration for a new worker that installed but waits to activate,
+ * which happens when the worker runs in "prompt" update mode.
+ * @param {ServiceWorkerRegistration} registration - The service worker registration.
+ */
+function watchForUpdates(registration) {
+    // Without a controller this is the first install, which activates right away
+    if (!navigator.serviceWorker.controller) return;
+
+    if (registration.waiting) {
+        showUpdateBanner(registration);
+        return;
+    }
+
+    registration.addEventListener('updatefound', () => {
+        const installing = registration.installing;
+
+        installing.addEventListener('statechange', () => {
+            if (installing.state === 'installed' && registration.waiting) {
+                showUpdateBanner(registration);
+            }
+        });
+    });
+}
+
+/**
+ * Reads the visitor's rollout bucket cookie.
+ * @returns {string|null} - The cookie value, or null before the first decision.
+ */
+function readBucketCookie() {
+    const match = document.cookie.match(new RegExp(`(?:^|;\\s*)${BUCKET_COOKIE}=([^;]*)`));
+
+    return match ? match[1] : null;
+}
+
+/**
+ * Resolves whether the service worker is enabled for this visitor.
+ * During a rollout (`data-swenabled="rollout"`) the decision is made per visitor by ServiceWorker-Rollout
+ * and kept in localStorage, shared by all tabs, so every page does not ask again. It is asked again
+ * after an hour, or once the `sw_bucket` cookie it was made for changed or was removed.
+ * @param {string} swEnabled - The `data-swenabled` value: "true", "false" or "rollout".
+ * @returns {Promise<Object|null>} - `{ enabled, bucket }`, or null if the decision could not be loaded.
+ */
+function getRolloutDecision(swEnabled) {
+    if (swEnabled !== 'rollout') {
+        return Promise.resolve(swEnabled === 'true' ? { enabled: true, bucket: 'all' } : { enabled: false, bucket: 'disabled' });
+    }
+
+    try {
+        const stored = JSON.parse(localStorage.getItem(ROLLOUT_STORAGE_KEY));
+        if (stored && stored.cookie === readBucketCookie() && Date.now() - stored.decidedAt < ROLLOUT_DECISION_MAX_AGE) {
+            return Promise.resolve(stored.decision);
+        }
+    } catch (e) {
+        // Storage unavailable, ask the server
+    }
+
+    return Promise.resolve($.ajax({ url: document.documentElement.dataset.swRolloutUrl, dataType: 'json', cache: false }))
+        .then((decision) => {
+            try {
+                localStorage.setItem(ROLLOUT_STORAGE_KEY, JSON.stringify({ decision, cookie: readBucketCookie(), decidedAt: Date.now() }));
+            } catch (e) {
+                // The decision is asked again on the next page
+            }
+
+            return decision;
+        })
+        .catch(() => null);
+}
+
 /**
  * Registers the service worker, if supported and applicable for the current URL.
  * Skips registration on system URLs like "on/demandware.store" to avoid interfering with backend routes.
+ * The visitor's rollout bucket is exposed as `data-sw-bucket` on the html element and through the
+ * `sw:rollout` event, for analytics tagging.
  */
 function registerServiceWorker() {
     if (!('serviceWorker' in navigator)) return;
@@ -24,27 +129,36 @@ function registerServiceWorker() {
     // Skips registration on system URLs like "on/demandware.store" to avoid interfering with backend routes
     if (isSystemUrl) return;
 
-    // Kill-switch: skip if disabled in config
-    if (swEnabled === "false") {
-        navigator.serviceWorker.getRegistrations().then(registration => {
-            registration.forEach(swInstance => swInstance.unregister());
-        });
-        return;
-    }
-   
-    // Register the service worker normally
-    navigator.serviceWorker.register(resolveServiceWorkerPath('/service-worker.js'))
-        .then((registration) => {
-            swInstance = registration;
-        }).catch((error) => {
-            if (!swInstance) return;
-
-            swInstance.unregister().then((wasUnregistered) => {
-                if (wasUnregistered) {
-                    swInstance = null;
-                }
+    getRolloutDecision(swEnabled).then((decision) => {
+        // Leave the current state alone when the decision is unknown
+        if (!decision) return;
+
+        document.documentElement.dataset.swBucket = decision.bucket;
+        $(document).trigger('sw:rollout', decision);
+
+        // Kill-switch: skip if disabled in config or outside the rollout
+        if (!decision.enabled) {
+            navigator.serviceWorker.getRegistrations().then(registration => {
+                registration.forEach(swInstance => swInstance.unregister());
             });
-        });
+            return;
+        }
+
+        // Register the service worker normally
+        navigator.serviceWorker.register(resolveServiceWorkerPath('/service-worker.js'))
+            .then((registration) => {
+                swInstance = registration;
+                watchForUpdates(registration);
+            }).catch((error) => {
+                if (!swInstance) return;
+
+                swInstance.unregister().then((wasUnregistered) => {
+                    if (wasUnregistered) {
+                        swInstance = null;
+                    }
+                });
+            });
+    });
 }
 
 module.exports = registerServiceWorker;
@@ -0,0 +1,97 @@
+const { MESSAGE_TYPES } = require('./helpers/messageTypes');
+
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Sends a command to the active service worker and waits for its reply over a MessageChannel.
+ * @param {string} type - One of MESSAGE_TYPES.
+ * @param {Object} [params] - Command parameters.
+ * @param {number} [timeout] - Milliseconds to wait for the reply.
+ * @returns {Promise<*>} - Resolves with the command result, rejects on error, timeout or missing worker.
+ */
+function send(type, params, timeout) {
+    if (!('serviceWorker' in navigator)) {
+        return Promise.reject(new Error('Service workers are not supported'));
+    }
+
+    return navigator.serviceWorker.getRegistration().then((registration) => {
+        // SKIP_WAITING is meant for the waiting worker, every other command for the active one
+        const waiting = type === MESSAGE_TYPES.SKIP_WAITING && registration && registration.waiting;
+        const worker = waiting || navigator.serviceWorker.controller || (registration && registration.active);
+
+        if (!worker) {
+            throw new Error('No active service worker');
+        }
+
+        return new Promise((resolve, reject) => {
+            const channel = new MessageChannel();
+            const timer = setTimeout(() => reject(new Error(`Service worker did not answer ${type}`)), timeout || DEFAULT_TIMEOUT);
+
+            channel.port1.onmessage = (event) => {
+                clearTimeout(timer);
+                if (event.data.ok) {
+                    resolve(event.data.result);
+                } else {
+                    reject(new Error(event.data.error));
+                }
+            };
+
+            worker.postMessage(Object.assign({ type }, params), [channel.port2]);
+        });
+    });
+}
+
+/**
+ * Promise-based client for the service worker command protocol.
+ * Storefront code can use it to invalidate cached responses after custom AJAX flows, e.g.
+ * `swMessenger.invalidate({ cacheSuffixes: ['MiniCartShow'] })`.
+ */
+module.exports = {
+    MESSAGE_TYPES,
+    send,
+
+    /**
+     * Removes all cached entries, or only those of one cache suffix.
+     * @param {string} [cacheSuffix] - Cache suffix to clear.
+     * @returns {Promise<Object>} - `{ deleted }`
+     */
+    clearCache: cacheSuffix => send(MESSAGE_TYPES.CLEAR_CACHE, { cacheSuffix }),
+
+    /**
+     * Reads the worker's cache id, the config it received and its URL invalidation map.
+     * @returns {Promise<Object>} - `{ cacheId, config, invalidationMap }`
+     */
+    getConfig: () => send(MESSAGE_TYPES.GET_CONFIG),
+
+    /**
+     * Reads the worker's cache id, config version and entry counts.
+     * @returns {Promise<Object>} - `{ cacheId, configVersion, total, categories, entries }`
+     */
+    getStatus: () => send(MESSAGE_TYPES.GET_STATUS),
+
+    /**
+     * Invalidates cached entries, either through the URL triggers of `url`
+     * or directly by `cacheSuffixes` (optionally limited to `siteId`/`locale`).
+     * @param {Object} options - `{ url }` or `{ cacheSuffixes, siteId, locale }`
+     * @returns {Promise<Object>} - The invalidation result.
+     */
+    invalidate: options => send(MESSAGE_TYPES.INVALIDATE, options),
+
+    /**
+     * Lists every cached entry.
+     * @returns {Promise<Array>} - Entries `{ category, url, suffix, size, storedAt }`
+     */
+    listEntries: () => send(MESSAGE_TYPES.LIST_ENTRIES),
+
+    /**
+     * Lists the last responses the worker refused to cache, newest first.
+     * @returns {Promise<Array>} - Refusals `{ url, key, reason, pattern, refusedAt }`
+     */
+    listRefusals: () => send(MESSAGE_TYPES.LIST_REFUSALS),
+
+    /**
+     * Activates a waiting service worker.
+     * @returns {Promise<Object>} - `{ skipped }`
+     */
+    skipWaiting: () => send(MESSAGE_TYPES.SKIP_WAITING)
+};
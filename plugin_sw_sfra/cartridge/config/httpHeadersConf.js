@@ -2,6 +2,24 @@
 
 var superHttpHeadersConf = module.superModule || [];
 
+/**
+ * Builds a short, stable hash of the customer groups of the current session.
+ * The service worker only compares it, so group IDs are not exposed in the response.
+ * @returns {string} Hex encoded hash of the sorted customer group IDs.
+ */
+function getCustomerGroupsHash() {
+    var MessageDigest = require('dw/crypto/MessageDigest');
+    var Encoding = require('dw/crypto/Encoding');
+    var Bytes = require('dw/util/Bytes');
+
+    var groupIds = session.customer.getCustomerGroups().toArray().map(function (group) {
+        return group.getID();
+    }).sort();
+    var digest = new MessageDigest(MessageDigest.DIGEST_MD5);
+
+    return Encoding.toHex(digest.digestBytes(new Bytes(groupIds.join(','), 'UTF-8'))).substring(0, 12);
+}
+
 module.exports = superHttpHeadersConf.concat([
     {
         id: 'X-SF-CC-RequestLocale',
@@ -10,5 +28,18 @@ module.exports = superHttpHeadersConf.concat([
     {
         id: 'X-SF-CC-SiteId',
         value: require('dw/system/Site').getCurrent().getID()
+    },
+    /* Cache key dimensions, used by the service worker to keep personalized fragments apart */
+    {
+        id: 'X-SF-CC-AuthState',
+        value: session.customer.isAuthenticated() ? 'registered' : 'guest'
+    },
+    {
+        id: 'X-SF-CC-CustomerGroups',
+        value: getCustomerGroupsHash()
+    },
+    {
+        id: 'X-SF-CC-Currency',
+        value: session.getCurrency().getCurrencyCode()
     }
 ]);
@@ -0,0 +1,34 @@
+'use strict';
+
+var server = require('server');
+
+server.extend(module.superModule);
+
+/**
+ * @name Cart-MiniCartCount
+ * @function
+ * @description Renders the minicart icon with the product count, like the include-only Cart-MiniCart,
+ * so that open tabs can reload it when the service worker announces that `MiniCartShow` was invalidated
+ * (see sw/cache-sync.js)
+ * @memberof Cart
+ * @param {middleware} - server.middleware.get - allow only GET requests
+ * @param {category} - sensitive
+ * @param {renders} - isml
+ * @param {serverfunction} - get
+ */
+server.get(
+    'MiniCartCount',
+    server.middleware.get,
+    function (req, res, next) {
+        var BasketMgr = require('dw/order/BasketMgr');
+        var currentBasket = BasketMgr.getCurrentBasket();
+
+        res.render('/components/header/miniCart', {
+            quantityTotal: currentBasket ? currentBasket.productQuantityTotal : 0
+        });
+
+        next();
+    }
+);
+
+module.exports = server.exports();
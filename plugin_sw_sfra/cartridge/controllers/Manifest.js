@@ -0,0 +1,32 @@
+'use strict';
+
+var server = require('server');
+var cache = require('*/cartridge/scripts/middleware/cache');
+
+/**
+ * @name Manifest-Show
+ * @function
+ * @description Renders the Web App Manifest for the current site and locale
+ * @memberof Manifest
+ * @param {middleware} - server.middleware.get - allow only GET requests
+ * @param {middleware} - cache.applyDefaultCache - applies default cache configuration
+ * @param {category} - non-sensitive
+ * @param {renders} - isml
+ * @param {serverfunction} - get
+ */
+server.get(
+    'Show',
+    server.middleware.get,
+    cache.applyDefaultCache,
+    function (req, res, next) {
+        var swManifestHelper = require('*/cartridge/scripts/helpers/swManifestHelper');
+
+        res.render('manifest.webmanifest', {
+            manifest: swManifestHelper.getManifest()
+        });
+
+        next();
+    }
+);
+
+module.exports = server.exports();
@@ -2,6 +2,7 @@
 
 var server = require('server');
 var cache = require('*/cartridge/scripts/middleware/cache');
+var swCache = require('*/cartridge/scripts/middleware/swCache');
 
 server.extend(module.superModule);
 
@@ -14,6 +15,7 @@ server.extend(module.superModule);
  * @param {middleware} - server.middleware.get - allow only GET requests
  * @param {middleware} - cache.middleware.https - allow only HTTPS requests
  * @param {middleware} - cache.applyDefaultCache - applies default cache configuration
+ * @param {middleware} - swCache.part - registers the menu as the cached "header" part of the service worker
  * @param {category} - non-sensitive
  * @param {renders} - isml
  * @param {serverfunction} - get
@@ -25,6 +27,7 @@ server.replace('IncludeHeaderMenu',
     server.middleware.get,
     server.middleware.https,
     cache.applyDefaultCache,
+    swCache.part({ suffix: 'header' }),
     function (req, res, next) {
         var catalogMgr = require('dw/catalog/CatalogMgr');
         var Categories = require('*/cartridge/models/categories');
@@ -43,10 +46,12 @@ server.replace('IncludeHeaderMenu',
  * @function
  * @description Renders page footer
  * @param {middleware} - cache.applyDefaultCache - applies default cache configuration
+ * @param {middleware} - swCache.part - registers the footer as the cached "footer" part of the service worker
  */
 server.get(
     'IncludeFooter',
     cache.applyDefaultCache,
+    swCache.part({ suffix: 'footer' }),
     function (req, res, next) {
         res.render('/components/footer/pageFooter');
 
@@ -54,4 +59,67 @@ server.get(
     }
 );
 
+/**
+ * @name Page-IncludeSlot
+ * @function
+ * @description Renders a global content slot by its ID, so that a slot can be included as a cached
+ * part of the service worker with `<isswpart suffix="slot" argument="<slot ID>"/>`. Slot IDs must be
+ * literals in templates, so only the slots listed in components/serviceWorker/slot.isml are rendered
+ * @memberof Page
+ * @param {middleware} - cache.applyDefaultCache - applies default cache configuration
+ * @param {middleware} - swCache.part - registers the route as the parameterized "slot" part of the service worker
+ * @param {querystringparameter} - id - the slot ID
+ * @param {category} - non-sensitive
+ * @param {renders} - isml
+ * @param {serverfunction} - get
+ */
+server.get(
+    'IncludeSlot',
+    cache.applyDefaultCache,
+    swCache.part({ suffix: 'slot', parameter: 'id' }),
+    function (req, res, next) {
+        var swConfig = require('*/cartridge/scripts/helpers/swConfig');
+
+        if (!swConfig.isValidPlaceholderArgument(req.querystring.id)) {
+            res.setStatusCode(404);
+            return next();
+        }
+
+        res.render('/components/serviceWorker/slot', { slotId: req.querystring.id });
+
+        return next();
+    }
+);
+
+/**
+ * @name Page-IncludeAsset
+ * @function
+ * @description Renders a content asset by its ID, so that any content asset can be included as a
+ * cached part of the service worker with `<isswpart suffix="asset" argument="<content asset ID>"/>`
+ * @memberof Page
+ * @param {middleware} - cache.applyDefaultCache - applies default cache configuration
+ * @param {middleware} - swCache.part - registers the route as the parameterized "asset" part of the service worker
+ * @param {querystringparameter} - id - the content asset ID
+ * @param {category} - non-sensitive
+ * @param {renders} - isml
+ * @param {serverfunction} - get
+ */
+server.get(
+    'IncludeAsset',
+    cache.applyDefaultCache,
+    swCache.part({ suffix: 'asset', parameter: 'id' }),
+    function (req, res, next) {
+        var swConfig = require('*/cartridge/scripts/helpers/swConfig');
+
+        if (!swConfig.isValidPlaceholderArgument(req.querystring.id)) {
+            res.setStatusCode(404);
+            return next();
+        }
+
+        res.render('/components/serviceWorker/asset', { assetId: req.querystring.id });
+
+        return next();
+    }
+);
+
 module.exports = server.exports();
@@ -0,0 +1,83 @@
+'use strict';
+
+var server = require('server');
+var csrfProtection = require('*/cartridge/scripts/middleware/csrf');
+
+/**
+ * Parses the JSON body of the request.
+ * @param {Object} req - Request object
+ * @returns {Object|null} The parsed body, or null if it is not valid JSON.
+ */
+function parseBody(req) {
+    try {
+        return JSON.parse(req.body);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * @name PushSubscription-Subscribe
+ * @function
+ * @description Stores a Web Push subscription in the SWPushSubscription custom object,
+ * linked to the customer only when the request is authenticated
+ * @memberof PushSubscription
+ * @param {middleware} - server.middleware.https - allow only HTTPS requests
+ * @param {middleware} - csrfProtection.validateAjaxRequest - validate the CSRF token sent with the request
+ * @param {category} - sensitive
+ * @param {returns} - json
+ * @param {serverfunction} - post
+ */
+server.post(
+    'Subscribe',
+    server.middleware.https,
+    csrfProtection.validateAjaxRequest,
+    function (req, res, next) {
+        var swPushHelper = require('*/cartridge/scripts/helpers/swPushHelper');
+        var subscription = parseBody(req);
+
+        if (!swPushHelper.isValidSubscription(subscription)) {
+            res.setStatusCode(400);
+            res.json({ success: false });
+            return next();
+        }
+
+        swPushHelper.saveSubscription(subscription, req.currentCustomer, req.locale.id);
+        res.json({ success: true });
+
+        return next();
+    }
+);
+
+/**
+ * @name PushSubscription-Unsubscribe
+ * @function
+ * @description Removes a stored Web Push subscription
+ * @memberof PushSubscription
+ * @param {middleware} - server.middleware.https - allow only HTTPS requests
+ * @param {middleware} - csrfProtection.validateAjaxRequest - validate the CSRF token sent with the request
+ * @param {category} - sensitive
+ * @param {returns} - json
+ * @param {serverfunction} - post
+ */
+server.post(
+    'Unsubscribe',
+    server.middleware.https,
+    csrfProtection.validateAjaxRequest,
+    function (req, res, next) {
+        var swPushHelper = require('*/cartridge/scripts/helpers/swPushHelper');
+        var subscription = parseBody(req);
+
+        if (!subscription || typeof subscription.endpoint !== 'string') {
+            res.setStatusCode(400);
+            res.json({ success: false });
+            return next();
+        }
+
+        res.json({ success: swPushHelper.removeSubscription(subscription.endpoint) });
+
+        return next();
+    }
+);
+
+module.exports = server.exports();
@@ -5,10 +5,12 @@ var server = require('server');
 server.extend(module.superModule);
 
 /**
- * Handles the root-level service worker file and other redirects.
+ * Handles the root-level service worker file, the web app manifest and other redirects.
  *
  * Prepend:
  * - Intercepts requests for "service-worker.js" and serves it from the root URL.
+ * - Intercepts requests for "manifest.webmanifest" and serves the per-site manifest in the locale
+ *   passed in its `locale` parameter.
  * - Applies caching and renders the appropriate ISML template.
  */
 server.prepend('Start', function (req, res, next) {
@@ -17,8 +19,10 @@ server.prepend('Start', function (req, res, next) {
 
     if (origin && origin.match(/service-worker\.js/)) {
         var serviceWorkerConfig = require('*/cartridge/scripts/helpers/swConfig').getInitConfig();
+        var swRolloutHelper = require('*/cartridge/scripts/helpers/swRolloutHelper');
 
-        if (serviceWorkerConfig.swEnabled) {
+        // During a rollout the script carries a per-visitor decision, so it must not be page cached
+        if (serviceWorkerConfig.swEnabled && swRolloutHelper.getSiteState() === 'true') {
             res.cachePeriod = 24;
             res.cachePeriodUnit = 'hours';
         } else {
@@ -29,6 +33,19 @@ server.prepend('Start', function (req, res, next) {
             swConfig: serviceWorkerConfig
         });
 
+        this.emit('route:Complete', req, res);
+    } else if (origin && origin.match(/manifest\.webmanifest/)) {
+        var swManifestHelper = require('*/cartridge/scripts/helpers/swManifestHelper');
+
+        swManifestHelper.applyLocale(req.querystring.locale);
+
+        res.cachePeriod = 24;
+        res.cachePeriodUnit = 'hours';
+
+        res.render('manifest.webmanifest', {
+            manifest: swManifestHelper.getManifest()
+        });
+
         this.emit('route:Complete', req, res);
     } else {
         next();
@@ -0,0 +1,165 @@
+'use strict';
+
+var server = require('server');
+var cache = require('*/cartridge/scripts/middleware/cache');
+var swCache = require('*/cartridge/scripts/middleware/swCache');
+
+/**
+ * @name ServiceWorker-Offline
+ * @function
+ * @description Renders the localized offline page. The service worker precaches one copy per
+ * site and locale on install and serves it when a navigation fails because the network is down
+ * @memberof ServiceWorker
+ * @param {middleware} - server.middleware.get - allow only GET requests
+ * @param {middleware} - cache.applyDefaultCache - applies default cache configuration
+ * @param {category} - non-sensitive
+ * @param {renders} - isml
+ * @param {serverfunction} - get
+ */
+server.get(
+    'Offline',
+    server.middleware.get,
+    cache.applyDefaultCache,
+    function (req, res, next) {
+        res.render('serviceWorker/offline');
+
+        next();
+    }
+);
+
+/**
+ * @name ServiceWorker-IncludePart
+ * @function
+ * @description Renders a cached part included by `isswpart` when navigation preload is on: the
+ * part's placeholder when the `Service-Worker-Navigation-Preload` header lists its suffix, a remote
+ * include of the part otherwise. Never cached, so the including page stays in the page cache
+ * @memberof ServiceWorker
+ * @param {middleware} - server.middleware.get - allow only GET requests
+ * @param {middleware} - server.middleware.include - allow only remote includes
+ * @param {querystringparameter} - suffix - the part's cache suffix
+ * @param {querystringparameter} - argument - the argument of a parameterized part
+ * @param {category} - non-sensitive
+ * @param {renders} - isml
+ * @param {serverfunction} - get
+ */
+server.get(
+    'IncludePart',
+    server.middleware.get,
+    server.middleware.include,
+    function (req, res, next) {
+        var swPartHelper = require('*/cartridge/scripts/helpers/swPartHelper');
+        var swPart = swPartHelper.getPreloadedPart(req.querystring.suffix, req.querystring.argument);
+
+        if (!swPart) {
+            res.setStatusCode(404);
+            return next();
+        }
+
+        res.render('components/serviceWorker/preloadedPart', { swPart: swPart });
+
+        return next();
+    }
+);
+
+/**
+ * @name ServiceWorker-Rollout
+ * @function
+ * @description Returns whether the service worker is enabled for the current visitor during a
+ * rollout, and the visitor's bucket for analytics. Called by sw/service-worker-registration.js when
+ * the page is marked with `data-swenabled="rollout"`. Never cached, as the answer is per visitor
+ * @memberof ServiceWorker
+ * @param {middleware} - server.middleware.get - allow only GET requests
+ * @param {middleware} - swCache.noStore - keeps the response, which sets the rollout cookie, out of the service worker caches
+ * @param {category} - non-sensitive
+ * @param {returns} - json
+ * @param {serverfunction} - get
+ */
+server.get(
+    'Rollout',
+    server.middleware.get,
+    swCache.noStore,
+    function (req, res, next) {
+        var swRolloutHelper = require('*/cartridge/scripts/helpers/swRolloutHelper');
+
+        res.json(swRolloutHelper.getDecision());
+
+        next();
+    }
+);
+
+/**
+ * @name ServiceWorker-Telemetry
+ * @function
+ * @description Receives the sampled cache counters flushed by the service worker and writes them,
+ * scaled up by the sample rate, to the `telemetry` log category
+ * @memberof ServiceWorker
+ * @param {middleware} - server.middleware.https - allow only HTTPS requests
+ * @param {category} - non-sensitive
+ * @param {returns} - json
+ * @param {serverfunction} - post
+ */
+server.post(
+    'Telemetry',
+    server.middleware.https,
+    function (req, res, next) {
+        var Site = require('dw/system/Site');
+        var swTelemetryHelper = require('*/cartridge/scripts/helpers/swTelemetryHelper');
+        var report;
+
+        try {
+            report = JSON.parse(req.body);
+        } catch (e) {
+            report = null;
+        }
+
+        if (!swTelemetryHelper.isValidReport(report)) {
+            res.setStatusCode(400);
+            res.json({ success: false });
+            return next();
+        }
+
+        swTelemetryHelper.log(report, Site.getCurrent().getID());
+        res.json({ success: true });
+
+        return next();
+    }
+);
+
+/**
+ * @name ServiceWorker-Diagnostics
+ * @function
+ * @description Renders the diagnostics page, which shows the registration state, cache id, config,
+ * invalidation map and cache entries of the shopper's service worker and lets support agents clear
+ * a suffix, unregister the worker or force an update. Only available when the
+ * `EnableServiceWorkerDiagnostics` preference is on and the `token` parameter matches the
+ * `ServiceWorkerDiagnosticsToken` preference; otherwise it answers 404. Never cached
+ * @memberof ServiceWorker
+ * @param {middleware} - server.middleware.get - allow only GET requests
+ * @param {middleware} - server.middleware.https - allow only HTTPS requests
+ * @param {querystringparameter} - token - the secret diagnostics token
+ * @param {category} - sensitive
+ * @param {renders} - isml
+ * @param {serverfunction} - get
+ */
+server.get(
+    'Diagnostics',
+    server.middleware.get,
+    server.middleware.https,
+    function (req, res, next) {
+        var Site = require('dw/system/Site');
+        var site = Site.getCurrent();
+        var token = site.getCustomPreferenceValue('ServiceWorkerDiagnosticsToken');
+
+        if (!site.getCustomPreferenceValue('EnableServiceWorkerDiagnostics') || !token || req.querystring.token !== token) {
+            res.setStatusCode(404);
+            res.render('error/notFound');
+            return next();
+        }
+
+        res.render('serviceWorker/diagnostics');
+
+        return next();
+    }
+);
+
+module.exports = server.exports();
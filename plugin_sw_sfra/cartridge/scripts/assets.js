@@ -0,0 +1,37 @@
+'use strict';
+
+var assets = module.superModule;
+
+/**
+ * Bundles of the layouts, by name. `addBundle` adds a bundle to the page, and the service worker
+ * precaches the bundles listed in `precache.bundles` (see scripts/helpers/swConfig.js), so both use
+ * the same lists. `global` holds the files common/scripts.isml and common/htmlHead.isml of
+ * app_storefront_base load on every page; it is only precached, never added.
+ */
+assets.bundles = {
+    global: {
+        scripts: ['/js/main.js'],
+        styles: ['/css/global.css']
+    },
+    pdStorePage: {
+        scripts: ['/js/campaignBanner.js'],
+        styles: ['/css/experience/components/commerceAssets/campaignBanner.css']
+    }
+};
+
+/**
+ * Adds the scripts and styles of a bundle to the page.
+ * @param {string} name - Name of a bundle in `assets.bundles`.
+ */
+assets.addBundle = function (name) {
+    var bundle = assets.bundles[name];
+
+    bundle.scripts.forEach(function (src) {
+        assets.addJs(src);
+    });
+    bundle.styles.forEach(function (src) {
+        assets.addCss(src);
+    });
+};
+
+module.exports = assets;
@@ -0,0 +1,111 @@
+'use strict';
+
+var CustomObjectMgr = require('dw/object/CustomObjectMgr');
+var CacheMgr = require('dw/system/CacheMgr');
+var Site = require('dw/system/Site');
+var Transaction = require('dw/system/Transaction');
+var Logger = require('dw/system/Logger').getLogger('serviceWorker', 'swCache');
+
+var CUSTOM_OBJECT_TYPE = 'SWCacheRegistration';
+// Custom cache declared in caches.json; its entries expire, so every application server picks up a new registry
+var CACHE_ID = 'swCacheRegistry';
+
+var swCacheRegistry = {};
+
+/**
+ * Kinds of registered rules, matching the `cachedParts` and `cachedUrls` lists of the configuration.
+ */
+swCacheRegistry.types = {
+    PART: 'part',
+    URL: 'url'
+};
+
+/**
+ * Reads all registrations of the current site from the custom objects, grouped by type.
+ * Registrations that cannot be parsed are skipped and logged.
+ * @returns {Object} Lists of cache rules, keyed by `swCacheRegistry.types` values.
+ */
+function readRules() {
+    var rules = {};
+    var iterator = CustomObjectMgr.getAllCustomObjects(CUSTOM_OBJECT_TYPE);
+
+    try {
+        while (iterator.hasNext()) {
+            var customObject = iterator.next();
+            var type = customObject.custom.ruleType;
+
+            try {
+                rules[type] = rules[type] || [];
+                rules[type].push(JSON.parse(customObject.custom.rule));
+            } catch (e) {
+                Logger.error('Service worker registration "{0}" is not valid JSON: {1}', customObject.custom.ID, e.message);
+            }
+        }
+    } finally {
+        iterator.close();
+    }
+
+    return rules;
+}
+
+/**
+ * Reads the registered rules of one type. The registry is read from the custom objects once
+ * and then served from the `swCacheRegistry` custom cache, since templates ask for it on every render.
+ * @param {string} type - One of `swCacheRegistry.types`.
+ * @returns {Array} List of cache rules.
+ */
+swCacheRegistry.getRules = function (type) {
+    var rules = CacheMgr.getCache(CACHE_ID).get(Site.getCurrent().getID(), readRules);
+
+    return rules[type] || [];
+};
+
+/**
+ * Replaces the registry of the current site with the given registrations, keyed by cache suffix:
+ * changed rules are written, and rules that are no longer declared are removed.
+ * Runs in the RegisterCacheRules job step (scripts/jobs/swCacheRegistry.js), never on a storefront request.
+ * @param {Array} registrations - `{ type, rule }` objects, `type` being one of `swCacheRegistry.types`.
+ */
+swCacheRegistry.store = function (registrations) {
+    var declared = {};
+
+    registrations.forEach(function (registration) {
+        declared[registration.rule.cacheSuffix] = registration;
+    });
+
+    Transaction.wrap(function () {
+        var iterator = CustomObjectMgr.getAllCustomObjects(CUSTOM_OBJECT_TYPE);
+
+        try {
+            while (iterator.hasNext()) {
+                var customObject = iterator.next();
+
+                if (!declared[customObject.custom.ID]) {
+                    CustomObjectMgr.remove(customObject);
+                    Logger.info('Removed service worker rule "{0}"', customObject.custom.ID);
+                }
+            }
+        } finally {
+            iterator.close();
+        }
+
+        Object.keys(declared).forEach(function (suffix) {
+            var registration = declared[suffix];
+            var ruleJson = JSON.stringify(registration.rule);
+            var customObject = CustomObjectMgr.getCustomObject(CUSTOM_OBJECT_TYPE, suffix);
+
+            if (customObject && customObject.custom.ruleType === registration.type && customObject.custom.rule === ruleJson) {
+                return;
+            }
+
+            customObject = customObject || CustomObjectMgr.createCustomObject(CUSTOM_OBJECT_TYPE, suffix);
+            customObject.custom.ruleType = registration.type;
+            customObject.custom.rule = ruleJson;
+            Logger.info('Registered service worker {0} rule "{1}" for {2}', registration.type, suffix, registration.rule.action);
+        });
+    });
+
+    CacheMgr.getCache(CACHE_ID).invalidate(Site.getCurrent().getID());
+};
+
+module.exports = swCacheRegistry;
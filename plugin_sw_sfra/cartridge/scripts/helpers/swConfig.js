@@ -2,9 +2,25 @@
 
 var URLUtils = require('dw/web/URLUtils');
 var Site = require('dw/system/Site');
+var Resource = require('dw/web/Resource');
+var Logger = require('dw/system/Logger').getLogger('serviceWorker', 'swConfig');
+
+var PLACEHOLDER_PREFIX = '$sw';
+// What each list of the `precache` configuration holds, for validation messages
+var PRECACHE_ENTRY_TYPES = {
+    bundles: 'bundle names',
+    scripts: 'static paths',
+    styles: 'static paths',
+    images: 'static paths',
+    fonts: 'static paths',
+    parts: 'cache suffixes'
+};
 
 var serviceWorkerUtils = {};
 
+// Rule configuration of the current request; modules are loaded once per request, so this is never shared
+var requestRuleConfig = null;
+
 /**
  * List of controllers that invalidate cached layout parts (e.g. header).
  * The cache is specific to both Site ID and locale.
@@ -53,6 +69,290 @@ serviceWorkerUtils.wishlistCacheInvalidationRoutes = [
     'Wishlist-EditProductListItem'
 ];
 
+/**
+ * List of controllers whose POST requests are queued in IndexedDB when the shopper is offline
+ * and replayed through Background Sync once connectivity returns.
+ * Overridden by `offlineQueueRoutes` in the ServiceWorkerConfig preference, which also accepts URL globs.
+ */
+serviceWorkerUtils.offlineQueueRoutes = [
+    'Cart-AddProduct',
+    'Cart-UpdateQuantity',
+    'Wishlist-AddProduct'
+];
+
+/**
+ * Navigations handled by the service worker (stream composition with cached parts, offline page).
+ * Entries are controller actions (`Checkout-Begin`) or URL globs (`/checkout`, `/on/demandware.store/*Adyen-`),
+ * where `*` matches anything and a glob matches any part of the URL path and query.
+ * An empty `include` list means all navigations; `exclude` wins over `include`.
+ * Excluded navigations go straight to the network, so checkout, account pages and payment
+ * or third-party callbacks are never composed from cache.
+ */
+serviceWorkerUtils.navigationRoutes = {
+    include: [],
+    exclude: [
+        'Checkout-Begin',
+        'Checkout-Login',
+        'COPlaceOrder-Submit',
+        'Order-Confirm',
+        'Order-Details',
+        'Order-History',
+        'Account-Show',
+        'Account-EditProfile',
+        'Account-EditPassword',
+        'Address-List',
+        'PaymentInstruments-List'
+    ]
+};
+
+/**
+ * Caching strategies understood by the service worker.
+ * - cache-first: serve the cached copy, fetch only on a miss.
+ * - stale-while-revalidate: serve the cached copy and refresh it in the background.
+ * - network-first: fetch from the network, fall back to the cached copy when offline.
+ * - network-only: never use the cache.
+ */
+serviceWorkerUtils.strategies = {
+    CACHE_FIRST: 'cache-first',
+    STALE_WHILE_REVALIDATE: 'stale-while-revalidate',
+    NETWORK_FIRST: 'network-first',
+    NETWORK_ONLY: 'network-only'
+};
+
+/**
+ * How a new service worker version takes over.
+ * - immediate: the new worker activates right away and takes over open tabs (default).
+ * - prompt: the new worker waits; the shopper is offered a reload banner, and the swap happens
+ *   when they accept it or at their next navigation.
+ */
+serviceWorkerUtils.updateModes = {
+    IMMEDIATE: 'immediate',
+    PROMPT: 'prompt'
+};
+
+/**
+ * Fallbacks a cached part can list in its `fallback` chain, tried in order when the part
+ * fails to load (network error, error status or `timeout`) while the page is streamed.
+ * - stale: the cached copy, even when older than `maxAge`.
+ * - snippet: the part's static `fallbackSnippet` markup.
+ * - client: an empty marker; the page loads the part itself (see client/default/js/sw/part-fallback.js).
+ */
+serviceWorkerUtils.partFallbacks = {
+    STALE: 'stale',
+    SNIPPET: 'snippet',
+    CLIENT: 'client'
+};
+
+/**
+ * Milliseconds a cached part may take to respond before its fallback chain is used.
+ */
+serviceWorkerUtils.defaultPartTimeout = 3000;
+
+/**
+ * Dimensions a cache key can depend on, in addition to site ID and locale.
+ * Their values reach the service worker through the X-SF-CC-* headers in config/httpHeadersConf.js.
+ * - auth: guest or registered
+ * - customerGroups: hash of the session's customer groups (e.g. for price books or promotions)
+ * - currency: session currency
+ */
+serviceWorkerUtils.keyDimensions = ['auth', 'customerGroups', 'currency'];
+
+/**
+ * Default size limits of the service worker caches, per category.
+ * When a cache exceeds `maxEntries` or `maxBytes`, its least recently used entries are evicted.
+ * The shell cache holds the offline pages and has no limits; the pages cache holds the saved pages.
+ */
+serviceWorkerUtils.defaultCacheLimits = {
+    fragments: { maxEntries: 100, maxBytes: 5 * 1024 * 1024 },
+    ajax: { maxEntries: 100, maxBytes: 5 * 1024 * 1024 },
+    static: { maxEntries: 300, maxBytes: 50 * 1024 * 1024 },
+    pages: { maxEntries: 30, maxBytes: 10 * 1024 * 1024 }
+};
+
+/**
+ * Share of the storage quota above which the service worker sheds static assets.
+ */
+serviceWorkerUtils.defaultQuotaThreshold = 0.8;
+
+/**
+ * Default telemetry settings. When enabled, the service worker counts cache hits, misses, stale serves,
+ * network errors, offline and part fallbacks and page composition time, for a `sampleRate` share
+ * of events, and sends them to ServiceWorker-Telemetry every `flushInterval` milliseconds.
+ */
+serviceWorkerUtils.defaultTelemetry = {
+    enabled: false,
+    sampleRate: 0.1,
+    flushInterval: 300000
+};
+
+/**
+ * Default settings of saved pages. When enabled, the service worker keeps the composed documents of
+ * navigations matching `routes` (controller actions or URL globs, as in `navigationRoutes`) and serves
+ * them, with an offline banner, when the network is down. Copies older than `maxAge` seconds are ignored;
+ * the number and size of copies is bounded by the `pages` entry of `cacheLimits`.
+ */
+serviceWorkerUtils.defaultSavedPages = {
+    enabled: false,
+    routes: ['Home-Show', 'Product-Show', 'Search-Show'],
+    maxAge: 86400
+};
+
+/**
+ * Default safety checks. The service worker refuses to store a part or cached URL whose body matches
+ * one of `bodyPatterns` (case-insensitive regular expressions), since cache keys are shared by every
+ * shopper on the device. The defaults match a rendered CSRF token, an email address and a labelled
+ * customer number (`customerNo`, `customer_number`, ...). Responses with `X-SW-NoStore`
+ * (see scripts/middleware/swCache.js) are refused whatever the patterns.
+ */
+serviceWorkerUtils.defaultSafety = {
+    bodyPatterns: [
+        'csrf_token',
+        // Not image names such as logo@2x.png
+        '[\\w.+-]+@[\\w-]+(\\.[\\w-]+)*\\.(?!(png|jpe?g|gif|svg|webp|avif)\\b)[a-z]{2,}\\b',
+        'customer[_-]?(no|number)'
+    ]
+};
+
+/**
+ * Default precache manifest, stored by the service worker on install.
+ * `bundles` names the layout bundles of scripts/assets.js, so the precached scripts and styles are
+ * the ones the layouts load. `scripts`, `styles`, `images` and `fonts` list other static files,
+ * such as logos. All files are paths in the static folder. `parts` lists cache suffixes of
+ * `cachedParts` loaded for the site and locale the worker is installed from.
+ */
+serviceWorkerUtils.defaultPrecache = {
+    bundles: ['global', 'pdStorePage'],
+    scripts: [],
+    styles: [],
+    images: ['/images/logo.svg'],
+    fonts: [],
+    parts: ['header', 'footer']
+};
+
+/**
+ * Returns the configured update mode, used by templates to decide whether to render the update banner.
+ * @returns {string} One of `serviceWorkerUtils.updateModes`.
+ */
+serviceWorkerUtils.getUpdateMode = function () {
+    return serviceWorkerUtils.getRuleConfig().updateMode;
+};
+
+/**
+ * Checks whether the value is one of the supported caching strategies.
+ * @param {string} strategy - Strategy name.
+ * @returns {boolean} True if the service worker understands the strategy.
+ */
+serviceWorkerUtils.isValidStrategy = function (strategy) {
+    return Object.keys(serviceWorkerUtils.strategies).some(function (key) {
+        return serviceWorkerUtils.strategies[key] === strategy;
+    });
+};
+
+/**
+ * Checks whether the value is a list of supported part fallbacks.
+ * @param {Array} fallback - Fallback chain of a cached part.
+ * @returns {boolean} True if every entry is one of `serviceWorkerUtils.partFallbacks`.
+ */
+serviceWorkerUtils.isValidFallback = function (fallback) {
+    return Array.isArray(fallback) && fallback.every(function (name) {
+        return Object.keys(serviceWorkerUtils.partFallbacks).some(function (key) {
+            return serviceWorkerUtils.partFallbacks[key] === name;
+        });
+    });
+};
+
+/**
+ * Default document sections that are cached and not reloaded with each page view.
+ * Rules are declared with controller actions and resolved to URLs in `getInitConfig`,
+ * so the Business Manager configuration can override them per site.
+ * A part with a `parameter` is parameterized: its placeholder ends with `:` and carries an argument,
+ * rendered inside an HTML comment, e.g. `<!--$swslot:header-banner-m$-->`. The service worker passes the
+ * argument to the part's action in that query parameter. One rule thus covers every slot or content asset,
+ * each cached under its own key.
+ */
+serviceWorkerUtils.defaultCachedParts = [
+    {
+        action: 'Page-IncludeHeaderMenu',
+        placeholder: '$swheader$',
+        skipParameter: 'sw_skipheader',
+        cacheSuffix: 'header',
+        maxAge: 86400,
+        strategy: serviceWorkerUtils.strategies.CACHE_FIRST,
+        keyDimensions: ['auth'],
+        fallback: [serviceWorkerUtils.partFallbacks.STALE, serviceWorkerUtils.partFallbacks.CLIENT],
+        invalidateOn: serviceWorkerUtils.layoutCacheInvalidationRoutes
+    },
+    {
+        action: 'Page-IncludeFooter',
+        placeholder: '$swfooter$',
+        skipParameter: 'sw_skipfooter',
+        cacheSuffix: 'footer',
+        maxAge: 3600,
+        strategy: serviceWorkerUtils.strategies.STALE_WHILE_REVALIDATE,
+        fallback: [serviceWorkerUtils.partFallbacks.STALE, serviceWorkerUtils.partFallbacks.CLIENT],
+        invalidateOn: serviceWorkerUtils.layoutCacheInvalidationRoutes
+    },
+    {
+        action: 'Page-IncludeSlot',
+        placeholder: '$swslot:',
+        parameter: 'id',
+        skipParameter: 'sw_skipslot',
+        cacheSuffix: 'slot',
+        maxAge: 3600,
+        strategy: serviceWorkerUtils.strategies.STALE_WHILE_REVALIDATE,
+        keyDimensions: ['customerGroups'],
+        fallback: [serviceWorkerUtils.partFallbacks.STALE, serviceWorkerUtils.partFallbacks.CLIENT]
+    },
+    {
+        action: 'Page-IncludeAsset',
+        placeholder: '$swasset:',
+        parameter: 'id',
+        skipParameter: 'sw_skipasset',
+        cacheSuffix: 'asset',
+        maxAge: 3600,
+        strategy: serviceWorkerUtils.strategies.STALE_WHILE_REVALIDATE,
+        fallback: [serviceWorkerUtils.partFallbacks.STALE, serviceWorkerUtils.partFallbacks.CLIENT]
+    }
+];
+
+/**
+ * Longest argument a parameterized placeholder may carry.
+ */
+serviceWorkerUtils.placeholderArgumentMaxLength = 64;
+
+/**
+ * Checks whether a value can be the argument of a parameterized placeholder (`<!--$swslot:<argument>$-->`):
+ * letters, digits, `_`, `-` and `.`, at most `placeholderArgumentMaxLength` characters.
+ * @param {string} argument - The slot ID, content asset ID or other argument.
+ * @returns {boolean} True if the value can be used in a placeholder.
+ */
+serviceWorkerUtils.isValidPlaceholderArgument = function (argument) {
+    return typeof argument === 'string' && /^[\w.-]+$/.test(argument)
+        && argument.length <= serviceWorkerUtils.placeholderArgumentMaxLength;
+};
+
+/**
+ * Default backend requests stored in cache as a whole.
+ */
+serviceWorkerUtils.defaultCachedUrls = [
+    {
+        action: 'Cart-MiniCartShow',
+        cacheSuffix: 'MiniCartShow',
+        maxAge: 900,
+        strategy: serviceWorkerUtils.strategies.STALE_WHILE_REVALIDATE,
+        keyDimensions: ['auth', 'currency'],
+        invalidateOn: serviceWorkerUtils.minicartCacheInvalidationRoutes
+    },
+    {
+        action: 'Wishlist-Show',
+        cacheSuffix: 'WishlistShow',
+        maxAge: 3600,
+        strategy: serviceWorkerUtils.strategies.CACHE_FIRST,
+        keyDimensions: ['auth'],
+        invalidateOn: serviceWorkerUtils.wishlistCacheInvalidationRoutes
+    }
+];
+
 /**
  * Converts controller-action strings to full relative URLs.
  * @param {Array} actions - List of controller-action routes.
@@ -64,6 +364,466 @@ serviceWorkerUtils.buildRelativeUrls = function (actions) {
     });
 };
 
+/**
+ * Resolves navigation route entries (see `serviceWorkerUtils.navigationRoutes`) for the service worker.
+ * Controller actions are resolved for every allowed locale of the site, since SEO URLs differ per locale,
+ * and made relative the same way as in `buildRelativeUrls`. Globs are passed on as they are.
+ * @param {Array} entries - Controller actions and URL globs.
+ * @returns {Object} `{ urls, globs }`
+ */
+serviceWorkerUtils.resolveNavigationRoutes = function (entries) {
+    var URLAction = require('dw/web/URLAction');
+    var site = Site.getCurrent();
+    var locales = site.getAllowedLocales().toArray();
+    var urls = [];
+    var globs = [];
+
+    entries.forEach(function (entry) {
+        if (serviceWorkerUtils.isUrlGlob(entry)) {
+            globs.push(entry);
+            return;
+        }
+
+        locales.forEach(function (locale) {
+            var url = URLUtils.url(new URLAction(entry, site.getID(), locale)).toString()
+                .replace(/(Sites-[\w\-_]+-Site\/[\w]{2,7}\/)/, '')
+                .split('?')[0];
+
+            if (urls.indexOf(url) === -1) {
+                urls.push(url);
+            }
+        });
+    });
+
+    return { urls: urls, globs: globs };
+};
+
+/**
+ * Tells URL globs apart from controller actions in route lists.
+ * @param {string} entry - A route list entry.
+ * @returns {boolean} True if the entry is a URL glob.
+ */
+serviceWorkerUtils.isUrlGlob = function (entry) {
+    return entry.indexOf('/') !== -1 || entry.indexOf('*') !== -1;
+};
+
+/**
+ * Merges rules from the Business Manager configuration into the code defaults.
+ * Rules are matched by `cacheSuffix`: matching rules are overridden property by property,
+ * rules with `disabled: true` are removed and unknown suffixes are appended.
+ * @param {Array} defaults - Default rule list.
+ * @param {Array} overrides - Rule list from the site preference.
+ * @returns {Array} The merged rule list.
+ */
+serviceWorkerUtils.mergeRules = function (defaults, overrides) {
+    var merged = defaults.map(function (rule) {
+        return Object.assign({}, rule);
+    });
+
+    (overrides || []).forEach(function (override) {
+        var existing = merged.filter(function (rule) {
+            return rule.cacheSuffix === override.cacheSuffix;
+        })[0];
+
+        if (existing) {
+            Object.assign(existing, override);
+        } else {
+            merged.push(Object.assign({}, override));
+        }
+    });
+
+    return merged.filter(function (rule) {
+        return !rule.disabled;
+    });
+};
+
+/**
+ * Checks that a rule only uses supported cache key dimensions.
+ * @param {Array} dimensions - The rule's `keyDimensions`.
+ * @returns {boolean} True if every dimension is supported.
+ */
+serviceWorkerUtils.isValidKeyDimensions = function (dimensions) {
+    return Array.isArray(dimensions) && dimensions.every(function (dimension) {
+        return serviceWorkerUtils.keyDimensions.indexOf(dimension) !== -1;
+    });
+};
+
+/**
+ * Checks that a value is a non-empty string that compiles as a regular expression.
+ * @param {string} pattern - A pattern of `safety.bodyPatterns`.
+ * @returns {boolean} True if the service worker can use the pattern.
+ */
+serviceWorkerUtils.isValidPattern = function (pattern) {
+    if (typeof pattern !== 'string' || !pattern) {
+        return false;
+    }
+
+    try {
+        return !!new RegExp(pattern);
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * Validates a single cache rule.
+ * @param {object} rule - The merged rule.
+ * @param {boolean} isPart - Whether the rule describes a cached part (placeholder based).
+ * @returns {Array} List of human-readable errors, empty when the rule is valid.
+ */
+serviceWorkerUtils.validateRule = function (rule, isPart) {
+    var errors = [];
+    var label = (isPart ? 'cachedParts' : 'cachedUrls') + ' rule "' + rule.cacheSuffix + '"';
+
+    if (typeof rule.cacheSuffix !== 'string' || !/^[\w-]+$/.test(rule.cacheSuffix)) {
+        errors.push(label + ': cacheSuffix must be a non-empty word');
+    }
+    if (typeof rule.action !== 'string' || rule.action.indexOf('-') === -1) {
+        errors.push(label + ': action must be a Controller-Action string');
+    }
+    if (isPart && (typeof rule.placeholder !== 'string' || rule.placeholder.indexOf(PLACEHOLDER_PREFIX) !== 0)) {
+        errors.push(label + ': placeholder must start with ' + PLACEHOLDER_PREFIX);
+    }
+    if (isPart && rule.parameter !== undefined && (typeof rule.parameter !== 'string' || !/^\w+$/.test(rule.parameter))) {
+        errors.push(label + ': parameter must be a query parameter name');
+    }
+    if (isPart && typeof rule.placeholder === 'string' && !/^\$sw[\w-]+(:|\$)$/.test(rule.placeholder)) {
+        errors.push(label + ': placeholder must look like $sw<name>$, or $sw<name>: for a parameterized part');
+    } else if (isPart && typeof rule.placeholder === 'string' && (rule.placeholder.slice(-1) === ':') !== !!rule.parameter) {
+        errors.push(label + ': placeholder must end with ":" exactly when the part has a parameter');
+    }
+    if (isPart && typeof rule.skipParameter !== 'string') {
+        errors.push(label + ': skipParameter is required');
+    }
+    if (rule.maxAge !== undefined && (typeof rule.maxAge !== 'number' || rule.maxAge < 0)) {
+        errors.push(label + ': maxAge must be a non-negative number');
+    }
+    if (rule.strategy !== undefined && !serviceWorkerUtils.isValidStrategy(rule.strategy)) {
+        errors.push(label + ': unknown strategy ' + rule.strategy);
+    }
+    if (rule.keyDimensions !== undefined && !serviceWorkerUtils.isValidKeyDimensions(rule.keyDimensions)) {
+        errors.push(label + ': keyDimensions may only contain ' + serviceWorkerUtils.keyDimensions.join(', '));
+    }
+    if (isPart && rule.fallback !== undefined && !serviceWorkerUtils.isValidFallback(rule.fallback)) {
+        errors.push(label + ': fallback may only contain ' + Object.keys(serviceWorkerUtils.partFallbacks).map(function (key) {
+            return serviceWorkerUtils.partFallbacks[key];
+        }).join(', '));
+    }
+    if (isPart && rule.fallbackSnippet !== undefined && typeof rule.fallbackSnippet !== 'string') {
+        errors.push(label + ': fallbackSnippet must be a string');
+    }
+    if (isPart && rule.timeout !== undefined && (typeof rule.timeout !== 'number' || rule.timeout < 0)) {
+        errors.push(label + ': timeout must be a non-negative number');
+    }
+    if (rule.honorCacheHeaders !== undefined && typeof rule.honorCacheHeaders !== 'boolean') {
+        errors.push(label + ': honorCacheHeaders must be true or false');
+    }
+    if (rule.invalidateOn !== undefined && !Array.isArray(rule.invalidateOn)) {
+        errors.push(label + ': invalidateOn must be a list of Controller-Action strings');
+    }
+
+    return errors;
+};
+
+/**
+ * Merges the `cacheLimits` of the preference into the defaults, per category, so a preference
+ * can change one limit of a category and keep the other.
+ * @param {Object} defaults - Default limits by category.
+ * @param {Object} [overrides] - Limits from the preference.
+ * @returns {Object} The merged limits.
+ */
+serviceWorkerUtils.mergeCacheLimits = function (defaults, overrides) {
+    var merged = {};
+
+    Object.keys(defaults).concat(Object.keys(overrides || {})).forEach(function (category) {
+        merged[category] = Object.assign({}, defaults[category], (overrides || {})[category]);
+    });
+
+    return merged;
+};
+
+/**
+ * Validates the `cacheLimits` of the preference.
+ * @param {Object} cacheLimits - Map of category to `{ maxEntries, maxBytes }`.
+ * @returns {Array} List of error messages, empty when the limits are valid.
+ */
+serviceWorkerUtils.validateCacheLimits = function (cacheLimits) {
+    var errors = [];
+
+    Object.keys(cacheLimits).forEach(function (category) {
+        var limits = cacheLimits[category];
+
+        if (!serviceWorkerUtils.defaultCacheLimits[category]) {
+            errors.push('cacheLimits: unknown category ' + category);
+            return;
+        }
+        ['maxEntries', 'maxBytes'].forEach(function (name) {
+            if (!limits || (limits[name] !== undefined && (typeof limits[name] !== 'number' || limits[name] < 0))) {
+                errors.push('cacheLimits.' + category + ': ' + name + ' must be a non-negative number');
+            }
+        });
+    });
+
+    return errors;
+};
+
+/**
+ * Validates the `rollout` of the preference (see scripts/helpers/swRolloutHelper.js).
+ * @param {Object} rollout - `{ percentage, customerGroups, ipRanges, qaCookie }`
+ * @returns {Array} List of error messages, empty when the rollout is valid.
+ */
+serviceWorkerUtils.validateRollout = function (rollout) {
+    var errors = [];
+    var isStringList = function (list) {
+        return Array.isArray(list) && list.every(function (entry) { return typeof entry === 'string'; });
+    };
+
+    if (rollout.percentage !== undefined && (typeof rollout.percentage !== 'number' || rollout.percentage < 0 || rollout.percentage > 100)) {
+        errors.push('rollout.percentage: must be a number between 0 and 100');
+    }
+    if (rollout.customerGroups !== undefined && !isStringList(rollout.customerGroups)) {
+        errors.push('rollout.customerGroups: must be a list of customer group IDs');
+    }
+    if (rollout.ipRanges !== undefined && !isStringList(rollout.ipRanges)) {
+        errors.push('rollout.ipRanges: must be a list of addresses or CIDR ranges');
+    }
+    if (rollout.qaCookie !== undefined && typeof rollout.qaCookie !== 'string') {
+        errors.push('rollout.qaCookie: must be a cookie name');
+    }
+
+    return errors;
+};
+
+/**
+ * Builds the rule configuration returned by `getRuleConfig`.
+ * @returns {object} Rule configuration.
+ */
+function readRuleConfig() {
+    var swCacheRegistry = require('*/cartridge/scripts/helpers/swCacheRegistry');
+    var defaults = {
+        cachedParts: serviceWorkerUtils.mergeRules(serviceWorkerUtils.defaultCachedParts,
+            swCacheRegistry.getRules(swCacheRegistry.types.PART)),
+        cachedUrls: serviceWorkerUtils.mergeRules(serviceWorkerUtils.defaultCachedUrls,
+            swCacheRegistry.getRules(swCacheRegistry.types.URL)),
+        staticStrategy: serviceWorkerUtils.strategies.CACHE_FIRST,
+        updateMode: serviceWorkerUtils.updateModes.IMMEDIATE,
+        cacheLimits: serviceWorkerUtils.defaultCacheLimits,
+        quotaThreshold: serviceWorkerUtils.defaultQuotaThreshold,
+        navigationRoutes: serviceWorkerUtils.navigationRoutes,
+        offlineQueueRoutes: serviceWorkerUtils.offlineQueueRoutes,
+        navigationPreload: false,
+        savedPages: serviceWorkerUtils.defaultSavedPages,
+        precache: serviceWorkerUtils.defaultPrecache,
+        safety: serviceWorkerUtils.defaultSafety,
+        rollout: null,
+        telemetry: serviceWorkerUtils.defaultTelemetry
+    };
+    var rawConfig = Site.getCurrent().getCustomPreferenceValue('ServiceWorkerConfig');
+    var siteConfig;
+
+    if (!rawConfig) {
+        return defaults;
+    }
+
+    try {
+        siteConfig = JSON.parse(rawConfig);
+    } catch (e) {
+        Logger.error('ServiceWorkerConfig preference is not valid JSON, using defaults: {0}', e.message);
+        return defaults;
+    }
+
+    if (!siteConfig || typeof siteConfig !== 'object'
+        || (siteConfig.cachedParts && !Array.isArray(siteConfig.cachedParts))
+        || (siteConfig.cachedUrls && !Array.isArray(siteConfig.cachedUrls))
+        || (siteConfig.cacheLimits && typeof siteConfig.cacheLimits !== 'object')
+        || (siteConfig.navigationRoutes && typeof siteConfig.navigationRoutes !== 'object')
+        || (siteConfig.savedPages && typeof siteConfig.savedPages !== 'object')
+        || (siteConfig.precache && typeof siteConfig.precache !== 'object')
+        || (siteConfig.safety && typeof siteConfig.safety !== 'object')
+        || (siteConfig.rollout && typeof siteConfig.rollout !== 'object')
+        || (siteConfig.telemetry && typeof siteConfig.telemetry !== 'object')) {
+        Logger.error('ServiceWorkerConfig preference must be an object with cachedParts/cachedUrls lists, using defaults');
+        return defaults;
+    }
+
+    var config = {
+        cachedParts: serviceWorkerUtils.mergeRules(defaults.cachedParts, siteConfig.cachedParts),
+        cachedUrls: serviceWorkerUtils.mergeRules(defaults.cachedUrls, siteConfig.cachedUrls),
+        staticStrategy: siteConfig.staticStrategy || defaults.staticStrategy,
+        updateMode: siteConfig.updateMode || defaults.updateMode,
+        cacheLimits: serviceWorkerUtils.mergeCacheLimits(defaults.cacheLimits, siteConfig.cacheLimits),
+        quotaThreshold: siteConfig.quotaThreshold !== undefined ? siteConfig.quotaThreshold : defaults.quotaThreshold,
+        navigationRoutes: Object.assign({}, defaults.navigationRoutes, siteConfig.navigationRoutes),
+        offlineQueueRoutes: siteConfig.offlineQueueRoutes || defaults.offlineQueueRoutes,
+        navigationPreload: siteConfig.navigationPreload !== undefined ? siteConfig.navigationPreload : defaults.navigationPreload,
+        savedPages: Object.assign({}, defaults.savedPages, siteConfig.savedPages),
+        precache: Object.assign({}, defaults.precache, siteConfig.precache),
+        safety: Object.assign({}, defaults.safety, siteConfig.safety),
+        rollout: siteConfig.rollout || defaults.rollout,
+        telemetry: Object.assign({}, defaults.telemetry, siteConfig.telemetry)
+    };
+
+    var errors = [];
+    config.cachedParts.forEach(function (rule) {
+        errors = errors.concat(serviceWorkerUtils.validateRule(rule, true));
+    });
+    config.cachedUrls.forEach(function (rule) {
+        errors = errors.concat(serviceWorkerUtils.validateRule(rule, false));
+    });
+    if (!serviceWorkerUtils.isValidStrategy(config.staticStrategy)) {
+        errors.push('staticStrategy: unknown strategy ' + config.staticStrategy);
+    }
+
+    if ([serviceWorkerUtils.updateModes.IMMEDIATE, serviceWorkerUtils.updateModes.PROMPT].indexOf(config.updateMode) === -1) {
+        errors.push('updateMode: must be "immediate" or "prompt"');
+    }
+    errors = errors.concat(serviceWorkerUtils.validateCacheLimits(siteConfig.cacheLimits || {}));
+    if (typeof config.quotaThreshold !== 'number' || config.quotaThreshold <= 0 || config.quotaThreshold > 1) {
+        errors.push('quotaThreshold: must be a number between 0 and 1');
+    }
+    if (config.rollout) {
+        errors = errors.concat(serviceWorkerUtils.validateRollout(config.rollout));
+    }
+    if (typeof config.telemetry.enabled !== 'boolean') {
+        errors.push('telemetry.enabled: must be true or false');
+    }
+    if (typeof config.telemetry.sampleRate !== 'number' || config.telemetry.sampleRate < 0 || config.telemetry.sampleRate > 1) {
+        errors.push('telemetry.sampleRate: must be a number between 0 and 1');
+    }
+    if (typeof config.telemetry.flushInterval !== 'number' || config.telemetry.flushInterval < 10000) {
+        errors.push('telemetry.flushInterval: must be at least 10000 milliseconds');
+    }
+    ['include', 'exclude'].forEach(function (list) {
+        var entries = config.navigationRoutes[list];
+
+        if (!Array.isArray(entries) || !entries.every(function (entry) { return typeof entry === 'string' && entry; })) {
+            errors.push('navigationRoutes.' + list + ': must be a list of controller actions or URL globs');
+        }
+    });
+    if (!Array.isArray(config.offlineQueueRoutes) || !config.offlineQueueRoutes.every(function (entry) { return typeof entry === 'string' && entry; })) {
+        errors.push('offlineQueueRoutes: must be a list of controller actions or URL globs');
+    }
+    if (typeof config.navigationPreload !== 'boolean') {
+        errors.push('navigationPreload: must be true or false');
+    }
+    if (typeof config.savedPages.enabled !== 'boolean') {
+        errors.push('savedPages.enabled: must be true or false');
+    }
+    if (!Array.isArray(config.savedPages.routes) || !config.savedPages.routes.every(function (entry) { return typeof entry === 'string' && entry; })) {
+        errors.push('savedPages.routes: must be a list of controller actions or URL globs');
+    }
+    if (typeof config.savedPages.maxAge !== 'number' || config.savedPages.maxAge < 0) {
+        errors.push('savedPages.maxAge: must be a non-negative number of seconds');
+    }
+    Object.keys(serviceWorkerUtils.defaultPrecache).forEach(function (list) {
+        var entries = config.precache[list];
+
+        if (!Array.isArray(entries) || !entries.every(function (entry) { return typeof entry === 'string' && entry; })) {
+            errors.push('precache.' + list + ': must be a list of ' + PRECACHE_ENTRY_TYPES[list]);
+        }
+    });
+    if (Array.isArray(config.precache.bundles)) {
+        var bundles = require('*/cartridge/scripts/assets.js').bundles;
+
+        config.precache.bundles.forEach(function (name) {
+            if (!Object.prototype.hasOwnProperty.call(bundles, name)) {
+                errors.push('precache.bundles: unknown bundle "' + name + '" (see scripts/assets.js)');
+            }
+        });
+    }
+
+    if (!Array.isArray(config.safety.bodyPatterns) || !config.safety.bodyPatterns.every(serviceWorkerUtils.isValidPattern)) {
+        errors.push('safety.bodyPatterns: must be a list of regular expressions');
+    }
+
+    if (errors.length) {
+        Logger.error('ServiceWorkerConfig preference rejected, using defaults:\n{0}', errors.join('\n'));
+        return defaults;
+    }
+
+    return config;
+}
+
+/**
+ * Reads the `ServiceWorkerConfig` site preference (JSON) and merges it with the code defaults.
+ * Rules registered by controllers through scripts/middleware/swCache.js extend the code defaults.
+ * A malformed or invalid preference is rejected as a whole and logged, so the storefront
+ * keeps running on the defaults instead of a half-applied configuration.
+ * The result is computed once per request, since templates ask for it for every `isswpart` tag.
+ * @returns {object} Rule configuration with `cachedParts`, `cachedUrls`, `staticStrategy`, `updateMode`,
+ * `cacheLimits`, `quotaThreshold`, `navigationRoutes`, `offlineQueueRoutes`, `navigationPreload`, `savedPages`, `precache`,
+ * `safety`, `rollout` and `telemetry`.
+ */
+serviceWorkerUtils.getRuleConfig = function () {
+    if (!requestRuleConfig) {
+        requestRuleConfig = readRuleConfig();
+    }
+
+    return requestRuleConfig;
+};
+
+/**
+ * Builds the asset list of the precache manifest: the scripts and styles of the listed bundles, then
+ * the other static files. Each asset is published with its static URL, which changes with every
+ * cache version, and its path as a stable key, so the service worker can revalidate the copy it
+ * stored for the previous version instead of downloading it again.
+ * @param {Object} precache - The `precache` configuration.
+ * @returns {Array} List of `{ url, key }` objects.
+ */
+serviceWorkerUtils.getPrecacheAssets = function (precache) {
+    var bundles = require('*/cartridge/scripts/assets.js').bundles;
+    var paths = [];
+
+    precache.bundles.forEach(function (name) {
+        paths = paths.concat(bundles[name].scripts, bundles[name].styles);
+    });
+    paths = paths.concat(precache.scripts, precache.styles, precache.images, precache.fonts);
+
+    return paths.filter(function (path, index) {
+        return paths.indexOf(path) === index;
+    }).map(function (path) {
+        return {
+            url: URLUtils.staticURL(path).toString(),
+            key: path
+        };
+    });
+};
+
+/**
+ * Builds the list of localized offline pages, one per allowed locale of the current site.
+ * The service worker precaches each of them under a `SiteId.Locale.offline` key.
+ * @returns {Array} List of `{ siteId, locale, url }` objects.
+ */
+serviceWorkerUtils.getOfflinePages = function () {
+    var URLAction = require('dw/web/URLAction');
+    var site = Site.getCurrent();
+    var siteId = site.getID();
+
+    return site.getAllowedLocales().toArray().map(function (locale) {
+        return {
+            siteId: siteId,
+            locale: locale,
+            url: URLUtils.url(new URLAction('ServiceWorker-Offline', siteId, locale)).toString()
+        };
+    });
+};
+
+/**
+ * Computes a short fingerprint of the configuration, so storefront code and support can tell
+ * which configuration a running service worker was installed with.
+ * @param {Object} config - The configuration object.
+ * @returns {string} Hex encoded MD5 hash of the serialized configuration.
+ */
+serviceWorkerUtils.getConfigVersion = function (config) {
+    var MessageDigest = require('dw/crypto/MessageDigest');
+    var Encoding = require('dw/crypto/Encoding');
+    var Bytes = require('dw/util/Bytes');
+
+    var digest = new MessageDigest(MessageDigest.DIGEST_MD5);
+
+    return Encoding.toHex(digest.digestBytes(new Bytes(JSON.stringify(config), 'UTF-8')));
+};
+
 /**
  * Builds the configuration object passed to the Service Worker during initialization.
  * Includes:
@@ -71,46 +831,125 @@ serviceWorkerUtils.buildRelativeUrls = function (actions) {
  * - Rules for invalidating cached parts
  * - Metadata like site ID, locale, and cache version
  *
+ * Rules come from `getRuleConfig`, i.e. the code defaults and controller registrations (scripts/middleware/swCache.js)
+ * merged with the Business Manager preference.
+ * Every cached part and cached URL accepts a `maxAge` (in seconds). The service worker records when
+ * an entry was stored and treats it as a miss once it is older than that. Zero disables expiry,
+ * leaving the entry in place until a trigger URL is hit or the cache version changes.
+ * Responses also drive caching through their headers (`Cache-Control`, `Expires`, `ETag`, `Last-Modified`),
+ * unless the rule sets `honorCacheHeaders: false`; without a `maxAge`, their lifetime applies.
+ * Each rule also sets a `strategy` (see `serviceWorkerUtils.strategies`); static resources use `staticStrategy`.
+ * Cached parts list a `fallback` chain (see `serviceWorkerUtils.partFallbacks`) used when they fail to load
+ * within their `timeout`, so a broken part never breaks the page.
+ * Rules with personalized content list `keyDimensions` (see `serviceWorkerUtils.keyDimensions`), which become part of the cache key.
+ *
+ * Parameterized parts (with a `parameter`) are cached per argument of their placeholder.
+ *
  * IMPORTANT: All placeholders must begin with `$sw` to be processed correctly by the streamHelper logic.
  * @returns {object} Initialization config for the Service Worker
  */
 
 serviceWorkerUtils.getInitConfig = function () {
-    return {
-        /* Offline fallback page cached on the user's first visit */
+    var ruleConfig = serviceWorkerUtils.getRuleConfig();
+
+    var config = {
+        /* Last-resort offline page, used when no localized offline page is cached */
         offlineUrl: URLUtils.staticURL('offline.html').toString(),
 
+        /* Localized offline pages cached on the user's first visit */
+        offlinePages: serviceWorkerUtils.getOfflinePages(),
+
         /* Document sections that are cached and not reloaded with each page view */
-        cachedParts: [
-            {
-                url: URLUtils.url('Page-IncludeHeaderMenu', 'sw', 'true').toString(),
-                placeholder: '$swheader$',
-                skipParameter: 'sw_skipheader',
-                cacheSuffix: 'header',
-                cacheCleanTriggerUrls: serviceWorkerUtils.buildRelativeUrls(serviceWorkerUtils.layoutCacheInvalidationRoutes)
-            },
-            {
-                url: URLUtils.url('Page-IncludeFooter', 'sw', 'true').toString(),
-                placeholder: '$swfooter$',
-                skipParameter: 'sw_skipfooter',
-                cacheSuffix: 'footer',
-                cacheCleanTriggerUrls: serviceWorkerUtils.buildRelativeUrls(serviceWorkerUtils.layoutCacheInvalidationRoutes)
-            }
-        ],
-        
+        cachedParts: ruleConfig.cachedParts.map(function (rule) {
+            return {
+                url: URLUtils.url(rule.action, 'sw', 'true').toString(),
+                placeholder: rule.placeholder,
+                parameter: rule.parameter || null,
+                skipParameter: rule.skipParameter,
+                cacheSuffix: rule.cacheSuffix,
+                maxAge: rule.maxAge || 0,
+                strategy: rule.strategy || serviceWorkerUtils.strategies.CACHE_FIRST,
+                keyDimensions: rule.keyDimensions || [],
+                fallback: rule.fallback || [serviceWorkerUtils.partFallbacks.STALE, serviceWorkerUtils.partFallbacks.CLIENT],
+                fallbackSnippet: rule.fallbackSnippet || '',
+                timeout: rule.timeout !== undefined ? rule.timeout : serviceWorkerUtils.defaultPartTimeout,
+                honorCacheHeaders: rule.honorCacheHeaders !== false,
+                cacheCleanTriggerUrls: serviceWorkerUtils.buildRelativeUrls(rule.invalidateOn || [])
+            };
+        }),
+
+        /* Longest argument of a parameterized placeholder, e.g. the slot ID in $swslot:header-banner-m$ */
+        placeholderArgumentMaxLength: serviceWorkerUtils.placeholderArgumentMaxLength,
+
         /* Full backend requests stored in cache */
-        cachedUrls: [
-            {
-                url: URLUtils.url('Cart-MiniCartShow').toString(),
-                cacheSuffix: 'MiniCartShow',
-                cacheCleanTriggerUrls: serviceWorkerUtils.buildRelativeUrls(serviceWorkerUtils.minicartCacheInvalidationRoutes)
-            },
-            {
-                url: URLUtils.url('Wishlist-Show').toString(),
-                cacheSuffix: 'WishlistShow',
-                cacheCleanTriggerUrls: serviceWorkerUtils.buildRelativeUrls(serviceWorkerUtils.wishlistCacheInvalidationRoutes)
-            }
-        ],
+        cachedUrls: ruleConfig.cachedUrls.map(function (rule) {
+            return {
+                url: URLUtils.url(rule.action).toString(),
+                cacheSuffix: rule.cacheSuffix,
+                maxAge: rule.maxAge || 0,
+                strategy: rule.strategy || serviceWorkerUtils.strategies.CACHE_FIRST,
+                keyDimensions: rule.keyDimensions || [],
+                honorCacheHeaders: rule.honorCacheHeaders !== false,
+                cacheCleanTriggerUrls: serviceWorkerUtils.buildRelativeUrls(rule.invalidateOn || [])
+            };
+        }),
+
+        /* Strategy for images, fonts, scripts and styles served from the static folders */
+        staticStrategy: ruleConfig.staticStrategy,
+
+        /* Mutating requests replayed after an offline period */
+        syncQueue: {
+            routes: serviceWorkerUtils.resolveNavigationRoutes(ruleConfig.offlineQueueRoutes),
+            csrfUrl: URLUtils.url('CSRF-Generate').toString(),
+            retryInterval: 30000,
+            maxAge: 86400,
+            queuedMessage: Resource.msg('msg.queue.queued', 'serviceworker', null)
+        },
+
+        /* Size limits per cache category, enforced with least-recently-used eviction */
+        cacheLimits: ruleConfig.cacheLimits,
+
+        /* Navigations composed by the service worker; excluded ones go straight to the network */
+        navigationRoutes: {
+            include: serviceWorkerUtils.resolveNavigationRoutes(ruleConfig.navigationRoutes.include),
+            exclude: serviceWorkerUtils.resolveNavigationRoutes(ruleConfig.navigationRoutes.exclude)
+        },
+
+        /* Whether navigations are preloaded, announcing the cached parts in a request header instead of skip parameters */
+        navigationPreload: ruleConfig.navigationPreload,
+
+        /* Static assets and page parts stored on install */
+        precache: {
+            assets: serviceWorkerUtils.getPrecacheAssets(ruleConfig.precache),
+            parts: ruleConfig.precache.parts
+        },
+
+        /* Body patterns of responses that must never be cached, e.g. CSRF tokens */
+        safety: {
+            bodyPatterns: ruleConfig.safety.bodyPatterns
+        },
+
+        /* Composed documents kept for offline use, shown with a localized banner */
+        savedPages: {
+            enabled: ruleConfig.savedPages.enabled,
+            routes: serviceWorkerUtils.resolveNavigationRoutes(ruleConfig.savedPages.routes),
+            maxAge: ruleConfig.savedPages.maxAge,
+            banner: Resource.msg('msg.offline.saved', 'serviceworker', null)
+        },
+
+        /* Sampled cache telemetry */
+        telemetry: {
+            enabled: ruleConfig.telemetry.enabled,
+            sampleRate: ruleConfig.telemetry.sampleRate,
+            flushInterval: ruleConfig.telemetry.flushInterval,
+            url: URLUtils.url('ServiceWorker-Telemetry').toString()
+        },
+
+        /* Share of the storage quota above which static assets are shed */
+        quotaThreshold: ruleConfig.quotaThreshold,
+
+        /* Whether a new worker version takes over immediately or waits for the shopper */
+        updateMode: ruleConfig.updateMode,
 
         /* Metadata used by the service worker to select the correct localized cache */
         urlSiteId: Site.getCurrent().getID(),
@@ -121,9 +960,14 @@ serviceWorkerUtils.getInitConfig = function () {
         */
         cacheVersion: URLUtils.staticURL('').toString().match(/[^/]*$/)[0],
 
-        /* Server worker enabled/disabled via Business Manage */
-        swEnabled: Site.getCurrent().getCustomPreferenceValue('EnableServiceWorker') || false
+        /* Server worker enabled/disabled via Business Manager, or per visitor during a rollout */
+        swEnabled: require('*/cartridge/scripts/helpers/swRolloutHelper').getDecision().enabled
     };
+
+    /* Fingerprint of the configuration, reported by the worker's GET_STATUS command */
+    config.configVersion = serviceWorkerUtils.getConfigVersion(config);
+
+    return config;
 };
 
 module.exports = serviceWorkerUtils;
\ No newline at end of file
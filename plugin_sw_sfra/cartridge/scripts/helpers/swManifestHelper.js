@@ -0,0 +1,117 @@
+'use strict';
+
+var URLUtils = require('dw/web/URLUtils');
+var Site = require('dw/system/Site');
+var Logger = require('dw/system/Logger').getLogger('serviceWorker', 'swManifest');
+
+var swManifestHelper = {};
+
+/**
+ * Default icon set used when the `WebAppManifestIcons` preference is empty.
+ * Paths are relative to the static folder of the cartridge path.
+ */
+swManifestHelper.defaultIcons = [
+    { src: '/images/logo-small.svg', sizes: 'any', type: 'image/svg+xml' }
+];
+
+/**
+ * Reads the icon list from the `WebAppManifestIcons` preference (JSON array of `{ src, sizes, type }`).
+ * Icon paths are resolved with URLUtils.staticURL so they point to the current site's static folder.
+ * A preference that is not a JSON array falls back to the default icons.
+ * @returns {Array} Icon definitions for the manifest.
+ */
+swManifestHelper.getIcons = function () {
+    var rawIcons = Site.getCurrent().getCustomPreferenceValue('WebAppManifestIcons');
+    var icons = swManifestHelper.defaultIcons;
+
+    if (rawIcons) {
+        try {
+            var parsedIcons = JSON.parse(rawIcons);
+
+            if (Array.isArray(parsedIcons)) {
+                icons = parsedIcons;
+            } else {
+                Logger.error('WebAppManifestIcons preference must be a JSON array, using defaults');
+            }
+        } catch (e) {
+            Logger.error('WebAppManifestIcons preference is not valid JSON, using defaults: {0}', e.message);
+        }
+    }
+
+    return icons.map(function (icon) {
+        return {
+            src: URLUtils.staticURL(icon.src).toString(),
+            sizes: icon.sizes,
+            type: icon.type
+        };
+    });
+};
+
+/**
+ * Returns the storefront root, which the service worker and the manifest are served from.
+ * Instances whose storefront URLs carry a `/s/<SiteId>` prefix (e.g. sandboxes) keep the prefix,
+ * the same way the registration resolves `service-worker.js` (see sw/service-worker-registration.js).
+ * @returns {string} The root path, ending with `/`.
+ */
+swManifestHelper.getRootPath = function () {
+    var sandboxMatch = URLUtils.url('Home-Show').toString().match(/^(\/s\/[^/?]+)/);
+
+    return (sandboxMatch ? sandboxMatch[1] : '') + '/';
+};
+
+/**
+ * Builds the URL of the root manifest in the locale of the current request.
+ * @returns {string} The manifest URL, e.g. `/s/RefArch/manifest.webmanifest?locale=en_US`.
+ */
+swManifestHelper.getManifestUrl = function () {
+    return swManifestHelper.getRootPath() + 'manifest.webmanifest?locale=' + encodeURIComponent(request.getLocale());
+};
+
+/**
+ * Switches the request to the locale passed in the `locale` parameter of the root manifest URL
+ * (see components/serviceWorker/manifestLink.isml), so names and the start URL use the shopper's locale.
+ * Locales the site does not allow are ignored.
+ * @param {string} locale - Locale ID, e.g. `en_US`.
+ */
+swManifestHelper.applyLocale = function (locale) {
+    if (locale && Site.getCurrent().getAllowedLocales().contains(locale)) {
+        request.setLocale(locale);
+    }
+};
+
+/**
+ * Returns the manifest language, using the site's default locale for requests in the `default` locale.
+ * @returns {string} BCP 47 language tag, e.g. `en-US`.
+ */
+swManifestHelper.getLang = function () {
+    var locale = request.getLocale();
+
+    if (!locale || locale === 'default') {
+        locale = Site.getCurrent().getDefaultLocale();
+    }
+
+    return locale.replace('_', '-');
+};
+
+/**
+ * Builds the Web App Manifest for the current site and locale from site preferences.
+ * @returns {Object} The manifest object, ready to be serialized as JSON.
+ */
+swManifestHelper.getManifest = function () {
+    var site = Site.getCurrent();
+    var name = site.getCustomPreferenceValue('WebAppManifestName') || site.getName();
+
+    return {
+        name: name,
+        short_name: site.getCustomPreferenceValue('WebAppManifestShortName') || name,
+        lang: swManifestHelper.getLang(),
+        start_url: URLUtils.url('Home-Show').toString(),
+        scope: swManifestHelper.getRootPath(),
+        display: 'standalone',
+        theme_color: site.getCustomPreferenceValue('WebAppManifestThemeColor') || '#ffffff',
+        background_color: site.getCustomPreferenceValue('WebAppManifestBackgroundColor') || '#ffffff',
+        icons: swManifestHelper.getIcons()
+    };
+};
+
+module.exports = swManifestHelper;
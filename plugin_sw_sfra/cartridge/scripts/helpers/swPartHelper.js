@@ -0,0 +1,125 @@
+'use strict';
+
+var URLUtils = require('dw/web/URLUtils');
+
+// Query parameter carrying the argument when the part has no rule to name it
+var DEFAULT_PARAMETER = 'id';
+// Request header of preloaded navigations, listing the suffixes of the parts the service worker fills in
+var PRELOAD_HEADER = 'service-worker-navigation-preload';
+
+/**
+ * Checks whether the current request is a navigation preloaded by the service worker for a part.
+ * @param {string} suffix - The part's cache suffix.
+ * @returns {boolean} True if the `Service-Worker-Navigation-Preload` header lists the suffix.
+ */
+function isPreloadedFor(suffix) {
+    var header = request.httpHeaders.get(PRELOAD_HEADER);
+
+    return !!header && header.split(',').some(function (value) {
+        return value.trim() === suffix;
+    });
+}
+
+/**
+ * Finds the cached part rule of a suffix.
+ * @param {string} suffix - The part's cache suffix.
+ * @returns {Object|undefined} The rule, or undefined if no rule exists for the suffix.
+ */
+function findRule(suffix) {
+    var swConfig = require('*/cartridge/scripts/helpers/swConfig');
+
+    return swConfig.getRuleConfig().cachedParts.filter(function (cachedPart) {
+        return cachedPart.cacheSuffix === suffix;
+    })[0];
+}
+
+/**
+ * Builds the remote include of a part.
+ * @param {Object} [rule] - The part's rule.
+ * @param {string} action - Controller-Action to include.
+ * @param {string} [argument] - The argument of a parameterized part.
+ * @returns {Object} `{ url }`
+ */
+function getInclude(rule, action, argument) {
+    var parameter = (rule && rule.parameter) || DEFAULT_PARAMETER;
+
+    return { url: argument ? URLUtils.url(action, parameter, argument) : URLUtils.url(action) };
+}
+
+/**
+ * Builds the placeholder of a part. Parameterized parts (e.g. slots) are rendered as
+ * `<!--$swslot:<argument>$-->`: the worker only fills in parameterized placeholders inside
+ * such a comment, so text echoed on the page cannot make it load parts.
+ * @param {Object} rule - The part's rule.
+ * @param {string} [argument] - The argument of a parameterized part.
+ * @returns {Object} `{ placeholder }`
+ */
+function getPlaceholder(rule, argument) {
+    return { placeholder: rule.parameter ? '<!--' + rule.placeholder + argument + '$-->' : rule.placeholder };
+}
+
+/**
+ * Resolves how a cached part is rendered by the `isswpart` tag (see components/serviceWorker/modules.isml).
+ * When the service worker requested the page with the part's skip parameter, the placeholder is rendered
+ * and the worker splices in its cached copy; otherwise the part is a remote include.
+ * With navigation preload on, the page does not vary by the `Service-Worker-Navigation-Preload` header
+ * the worker sends, so it includes `ServiceWorker-IncludePart` instead, which is never cached and
+ * renders the placeholder or the part for each request (see `getPreloadedPart`).
+ * Parameterized parts take an `argument`, passed to the remote include in the rule's `parameter`.
+ * An argument that cannot be used in a placeholder always renders the remote include.
+ * @param {string} suffix - The part's cache suffix.
+ * @param {string} [action] - Controller-Action to include when no rule exists for the suffix (e.g. it was disabled).
+ * @param {boolean} [skip] - Render the placeholder regardless of the request parameters.
+ * @param {string} [argument] - The argument of a parameterized part, e.g. a slot ID.
+ * @returns {Object|null} `{ placeholder }` or `{ url }`, or null if the part cannot be rendered.
+ */
+function getPart(suffix, action, skip, argument) {
+    var swConfig = require('*/cartridge/scripts/helpers/swConfig');
+    var rule = findRule(suffix);
+
+    if (!rule) {
+        return action ? getInclude(null, action, argument) : null;
+    }
+
+    if (rule.parameter && !swConfig.isValidPlaceholderArgument(argument)) {
+        return getInclude(rule, rule.action, argument);
+    }
+
+    if (skip || request.httpParameterMap.isParameterSubmitted(rule.skipParameter)) {
+        return getPlaceholder(rule, argument);
+    }
+
+    if (swConfig.getRuleConfig().navigationPreload) {
+        return {
+            url: argument
+                ? URLUtils.url('ServiceWorker-IncludePart', 'suffix', suffix, 'argument', argument)
+                : URLUtils.url('ServiceWorker-IncludePart', 'suffix', suffix)
+        };
+    }
+
+    return getInclude(rule, rule.action, argument);
+}
+
+/**
+ * Resolves a part included through `ServiceWorker-IncludePart`: its placeholder when the
+ * `Service-Worker-Navigation-Preload` header of the request lists the part's suffix, the remote
+ * include of the part otherwise.
+ * @param {string} suffix - The part's cache suffix.
+ * @param {string} [argument] - The argument of a parameterized part.
+ * @returns {Object|null} `{ placeholder }` or `{ url }`, or null if no usable rule exists for the part.
+ */
+function getPreloadedPart(suffix, argument) {
+    var swConfig = require('*/cartridge/scripts/helpers/swConfig');
+    var rule = findRule(suffix);
+
+    if (!rule || (rule.parameter && !swConfig.isValidPlaceholderArgument(argument))) {
+        return null;
+    }
+
+    return isPreloadedFor(suffix) ? getPlaceholder(rule, argument) : getInclude(rule, rule.action, argument);
+}
+
+module.exports = {
+    getPart: getPart,
+    getPreloadedPart: getPreloadedPart
+};
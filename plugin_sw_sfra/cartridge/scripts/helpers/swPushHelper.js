@@ -0,0 +1,89 @@
+'use strict';
+
+var CustomObjectMgr = require('dw/object/CustomObjectMgr');
+var Transaction = require('dw/system/Transaction');
+var Site = require('dw/system/Site');
+
+var CUSTOM_OBJECT_TYPE = 'SWPushSubscription';
+
+var swPushHelper = {};
+
+/**
+ * Builds the custom object key for a subscription.
+ * Push endpoints can exceed the 256 characters allowed for a key, so the key is a SHA-256 hash of it.
+ * @param {string} endpoint - The push service endpoint URL.
+ * @returns {string} Hex encoded hash of the endpoint.
+ */
+swPushHelper.getSubscriptionId = function (endpoint) {
+    var MessageDigest = require('dw/crypto/MessageDigest');
+    var Encoding = require('dw/crypto/Encoding');
+    var Bytes = require('dw/util/Bytes');
+
+    var digest = new MessageDigest(MessageDigest.DIGEST_SHA_256);
+
+    return Encoding.toHex(digest.digestBytes(new Bytes(endpoint, 'UTF-8')));
+};
+
+/**
+ * Checks that the posted JSON has the shape of PushSubscription.toJSON().
+ * @param {Object} subscription - Parsed request body.
+ * @returns {boolean} True if the subscription can be stored.
+ */
+swPushHelper.isValidSubscription = function (subscription) {
+    return !!(subscription
+        && typeof subscription.endpoint === 'string'
+        && subscription.endpoint.indexOf('https://') === 0
+        && subscription.keys
+        && typeof subscription.keys.p256dh === 'string'
+        && typeof subscription.keys.auth === 'string');
+};
+
+/**
+ * Creates or updates the stored subscription.
+ * The subscription is linked to the customer only when the request is authenticated; a subscription
+ * saved again from a guest session is unlinked, so a logged-out browser no longer receives the
+ * customer's notifications. It remembers the site and locale so that notifications can be sent in
+ * the shopper's language.
+ * @param {Object} subscription - The PushSubscription JSON.
+ * @param {Object} currentCustomer - `req.currentCustomer` of the request.
+ * @param {string} locale - The request locale ID.
+ */
+swPushHelper.saveSubscription = function (subscription, currentCustomer, locale) {
+    var id = swPushHelper.getSubscriptionId(subscription.endpoint);
+
+    Transaction.wrap(function () {
+        var customObject = CustomObjectMgr.getCustomObject(CUSTOM_OBJECT_TYPE, id)
+            || CustomObjectMgr.createCustomObject(CUSTOM_OBJECT_TYPE, id);
+
+        customObject.custom.endpoint = subscription.endpoint;
+        customObject.custom.p256dh = subscription.keys.p256dh;
+        customObject.custom.auth = subscription.keys.auth;
+        customObject.custom.siteId = Site.getCurrent().getID();
+        customObject.custom.locale = locale;
+
+        customObject.custom.customerNo = currentCustomer.raw.authenticated && currentCustomer.profile
+            ? currentCustomer.profile.customerNo
+            : null;
+    });
+};
+
+/**
+ * Removes a stored subscription.
+ * @param {string} endpoint - The push service endpoint URL.
+ * @returns {boolean} True if a subscription was removed.
+ */
+swPushHelper.removeSubscription = function (endpoint) {
+    var customObject = CustomObjectMgr.getCustomObject(CUSTOM_OBJECT_TYPE, swPushHelper.getSubscriptionId(endpoint));
+
+    if (!customObject) {
+        return false;
+    }
+
+    Transaction.wrap(function () {
+        CustomObjectMgr.remove(customObject);
+    });
+
+    return true;
+};
+
+module.exports = swPushHelper;
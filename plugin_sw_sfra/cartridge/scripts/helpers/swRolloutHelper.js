@@ -0,0 +1,189 @@
+'use strict';
+
+var Site = require('dw/system/Site');
+
+var BUCKET_COOKIE = 'sw_bucket';
+var BUCKET_COOKIE_MAX_AGE = 365 * 24 * 60 * 60;
+
+/**
+ * Buckets reported for analytics.
+ * - all: no rollout configured, every visitor gets the service worker.
+ * - qa, ip, group: targeted through the QA cookie, an allowed IP range or a customer group.
+ * - percent: inside the rollout percentage.
+ * - control: outside the rollout percentage.
+ * - disabled: the service worker is switched off with `EnableServiceWorker`.
+ */
+var buckets = {
+    ALL: 'all',
+    QA: 'qa',
+    IP: 'ip',
+    GROUP: 'group',
+    PERCENT: 'percent',
+    CONTROL: 'control',
+    DISABLED: 'disabled'
+};
+
+/**
+ * Converts a dotted IPv4 address into a number.
+ * @param {string} ip - The address.
+ * @returns {number|null} The address as a number, or null for anything but IPv4.
+ */
+function ipv4ToNumber(ip) {
+    var parts = String(ip).split('.');
+
+    if (parts.length !== 4 || !parts.every(function (part) { return /^\d{1,3}$/.test(part) && +part < 256; })) {
+        return null;
+    }
+
+    return parts.reduce(function (sum, part) {
+        return (sum * 256) + parseInt(part, 10);
+    }, 0);
+}
+
+/**
+ * Checks whether an address is in one of the ranges. Ranges are single addresses
+ * or IPv4 CIDR blocks (`10.0.0.0/8`); other addresses must match exactly.
+ * @param {string} ip - The client address.
+ * @param {Array} ranges - Allowed addresses and ranges.
+ * @returns {boolean} True if the address is allowed.
+ */
+function isInIpRanges(ip, ranges) {
+    var address = ipv4ToNumber(ip);
+
+    return ranges.some(function (range) {
+        var parts = range.split('/');
+        var base = ipv4ToNumber(parts[0]);
+        var bits = parts.length > 1 ? parseInt(parts[1], 10) : 32;
+
+        if (address === null || base === null) {
+            return range === ip;
+        }
+
+        var blockSize = Math.pow(2, 32 - bits);
+
+        return Math.floor(address / blockSize) === Math.floor(base / blockSize);
+    });
+}
+
+/**
+ * Reads the visitor's sticky bucket cookie: `<number>` with a value from 0 to 99, followed by
+ * `:<bucket>` once the visitor has been targeted.
+ * @returns {Object|null} `{ number, bucket }`, or null for a new visitor.
+ */
+function readBucketCookie() {
+    var cookie = request.getHttpCookies()[BUCKET_COOKIE];
+    var match = cookie && /^(\d{1,2})(?::(\w+))?$/.exec(cookie.value);
+
+    return match ? { number: parseInt(match[1], 10), bucket: match[2] || null } : null;
+}
+
+/**
+ * Stores the visitor's bucket cookie. It is readable by scripts, as sw/service-worker-registration.js
+ * asks for a new decision once it changes.
+ * @param {number} number - The visitor's number, from 0 to 99.
+ * @param {string} [bucket] - The targeting bucket, kept so the decision does not flip later.
+ */
+function writeBucketCookie(number, bucket) {
+    var Cookie = require('dw/web/Cookie');
+    var cookie = new Cookie(BUCKET_COOKIE, bucket ? number + ':' + bucket : String(number));
+
+    cookie.setMaxAge(BUCKET_COOKIE_MAX_AGE);
+    cookie.setPath('/');
+    cookie.setSecure(true);
+    cookie.setHttpOnly(false);
+    response.addHttpCookie(cookie);
+}
+
+/**
+ * Finds the targeting rule the current visitor matches.
+ * @param {Object} rollout - The rollout configuration.
+ * @returns {string|null} One of the targeted buckets, or null.
+ */
+function getTargetedBucket(rollout) {
+    var cookies = request.getHttpCookies();
+
+    if (rollout.qaCookie && cookies[rollout.qaCookie]) {
+        return buckets.QA;
+    }
+    if ((rollout.ipRanges || []).length && isInIpRanges(request.getHttpRemoteAddress(), rollout.ipRanges)) {
+        return buckets.IP;
+    }
+    if ((rollout.customerGroups || []).some(function (groupId) { return customer.isMemberOfCustomerGroup(groupId); })) {
+        return buckets.GROUP;
+    }
+
+    return null;
+}
+
+/**
+ * Reads the rollout configuration, if the service worker is switched on for the site.
+ * @returns {Object|null|boolean} The rollout configuration, null without a rollout, or false when switched off.
+ */
+function getRollout() {
+    if (!Site.getCurrent().getCustomPreferenceValue('EnableServiceWorker')) {
+        return false;
+    }
+
+    return require('*/cartridge/scripts/helpers/swConfig').getRuleConfig().rollout || null;
+}
+
+/**
+ * Checks whether the service worker is switched on for the site and whether a rollout limits it.
+ * The result is the same for every visitor, so it can be rendered into page-cached markup.
+ * @returns {string} `false` (switched off), `true` (on for everyone) or `rollout` (decided per visitor).
+ */
+function getSiteState() {
+    var rollout = getRollout();
+
+    if (rollout === false) {
+        return 'false';
+    }
+
+    return rollout ? 'rollout' : 'true';
+}
+
+/**
+ * Decides whether the service worker is enabled for the current visitor.
+ * Visitors get a random number from 0 to 99 on their first decision, kept in the `sw_bucket` cookie,
+ * and are inside the rollout when it is below `percentage`, so raising the percentage only adds visitors.
+ * A visitor matched by the QA cookie, an IP range or a customer group stays in that bucket,
+ * even once the match no longer applies (e.g. after logging out).
+ * @returns {Object} `{ enabled, bucket }`, with the bucket being one of `buckets`.
+ */
+function getDecision() {
+    var rollout = getRollout();
+
+    if (rollout === false) {
+        return { enabled: false, bucket: buckets.DISABLED };
+    }
+    if (!rollout) {
+        return { enabled: true, bucket: buckets.ALL };
+    }
+
+    var stored = readBucketCookie();
+    var number = stored ? stored.number : Math.floor(Math.random() * 100);
+
+    if (stored && stored.bucket) {
+        return { enabled: true, bucket: stored.bucket };
+    }
+
+    var targeted = getTargetedBucket(rollout);
+
+    if (!stored || targeted) {
+        writeBucketCookie(number, targeted);
+    }
+    if (targeted) {
+        return { enabled: true, bucket: targeted };
+    }
+
+    return number < (rollout.percentage || 0)
+        ? { enabled: true, bucket: buckets.PERCENT }
+        : { enabled: false, bucket: buckets.CONTROL };
+}
+
+module.exports = {
+    buckets: buckets,
+    isInIpRanges: isInIpRanges,
+    getSiteState: getSiteState,
+    getDecision: getDecision
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+var Logger = require('dw/system/Logger').getLogger('serviceWorker', 'telemetry');
+
+var MAX_COUNTERS = 200;
+var COUNTER_NAMES = ['hit', 'miss', 'stale', 'networkError', 'offline', 'fallback', 'refused', 'composeTime', 'composeCount'];
+
+var swTelemetryHelper = {};
+
+/**
+ * Checks that the posted JSON has the shape sent by the service worker's telemetryHelper.
+ * @param {Object} report - Parsed request body.
+ * @returns {boolean} True if the report can be aggregated.
+ */
+swTelemetryHelper.isValidReport = function (report) {
+    return !!(report
+        && typeof report.sampleRate === 'number' && report.sampleRate > 0 && report.sampleRate <= 1
+        && Array.isArray(report.counters)
+        && report.counters.length <= MAX_COUNTERS
+        && report.counters.every(function (counter) {
+            return counter
+                && /^\w+$/.test(counter.type)
+                && typeof counter.name === 'string' && /^[\w-]{1,64}$/.test(counter.name)
+                && COUNTER_NAMES.every(function (name) {
+                    return counter[name] === undefined || (typeof counter[name] === 'number' && counter[name] >= 0 && isFinite(counter[name]));
+                });
+        }));
+};
+
+/**
+ * Sums the counters of a report per resource type and rule, scaled up by the sample rate
+ * so that the logged numbers estimate the real traffic.
+ * @param {Object} report - A valid telemetry report.
+ * @returns {Object} Map of `type:name` to counters.
+ */
+swTelemetryHelper.aggregate = function (report) {
+    var totals = {};
+
+    report.counters.forEach(function (counter) {
+        var id = counter.type + ':' + counter.name;
+        var total = totals[id] || (totals[id] = {});
+
+        COUNTER_NAMES.forEach(function (name) {
+            if (counter[name]) {
+                total[name] = (total[name] || 0) + Math.round(counter[name] / report.sampleRate);
+            }
+        });
+    });
+
+    return totals;
+};
+
+/**
+ * Writes the aggregated counters to the `telemetry` log category, one line per resource type and rule,
+ * e.g. `part:header {"hit":120,"miss":10}`. Custom log files can be analyzed with Log Center or downloaded.
+ * @param {Object} report - A valid telemetry report.
+ * @param {string} siteId - The current site ID.
+ */
+swTelemetryHelper.log = function (report, siteId) {
+    var totals = swTelemetryHelper.aggregate(report);
+
+    Object.keys(totals).forEach(function (id) {
+        Logger.info('{0} {1} {2} {3}', siteId, report.configVersion || '-', id, JSON.stringify(totals[id]));
+    });
+};
+
+module.exports = swTelemetryHelper;
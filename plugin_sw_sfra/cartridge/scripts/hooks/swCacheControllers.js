@@ -0,0 +1,15 @@
+'use strict';
+
+/**
+ * Hook app.serviceworker.cacheControllers: adds the controllers of this cartridge whose routes declare
+ * swCache rules (scripts/middleware/swCache.js). Every cartridge of the cartridge path that registers the
+ * hook is called, so the RegisterCacheRules job step finds the rules of all of them.
+ * @param {Array} controllers - Controller names collected so far; names are added to it.
+ */
+function collect(controllers) {
+    controllers.push('Page');
+}
+
+module.exports = {
+    collect: collect
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+var HookMgr = require('dw/system/HookMgr');
+var Status = require('dw/system/Status');
+var Logger = require('dw/system/Logger').getLogger('serviceWorker', 'swCache');
+
+// Hook through which each cartridge names its controllers that declare swCache rules
+var CONTROLLERS_HOOK = 'app.serviceworker.cacheControllers';
+
+/**
+ * Collects the controllers that declare swCache rules from every cartridge of the cartridge path
+ * registering the app.serviceworker.cacheControllers hook (see scripts/hooks/swCacheControllers.js).
+ * @returns {Array} Controller names, each listed once.
+ */
+function getControllerNames() {
+    var names = [];
+
+    if (HookMgr.hasHook(CONTROLLERS_HOOK)) {
+        HookMgr.callHook(CONTROLLERS_HOOK, 'collect', names);
+    }
+
+    return names.filter(function (name, index) {
+        return names.indexOf(name) === index;
+    });
+}
+
+/**
+ * Collects the rules declared with the swCache middleware (scripts/middleware/swCache.js) on the routes
+ * of a controller. The controller is loaded through the cartridge path, so routes added or replaced by
+ * other cartridges are included, and each rule is named after its route, e.g. `Page-IncludeFooter`.
+ * @param {string} controllerName - Name of the controller, e.g. `Page`.
+ * @returns {Array} `{ type, rule }` registrations.
+ */
+function collectRegistrations(controllerName) {
+    var routes = require('*/cartridge/controllers/' + controllerName).__routes || {};
+    var registrations = [];
+
+    Object.keys(routes).forEach(function (routeName) {
+        routes[routeName].chain.forEach(function (middleware) {
+            if (middleware.swCacheRule) {
+                registrations.push({
+                    type: middleware.swCacheRule.type,
+                    rule: middleware.swCacheRule.build(controllerName + '-' + routeName)
+                });
+            }
+        });
+    });
+
+    return registrations;
+}
+
+/**
+ * Job step RegisterCacheRules: stores the rules declared with the swCache middleware in the
+ * controllers the cartridges name through the app.serviceworker.cacheControllers hook, so the
+ * storefront only reads them. Run it for each site after a code deployment that changes swCache
+ * rules. Invalid rules are logged and left out, and the step then ends with the ERROR status.
+ * @returns {dw.system.Status} The step status.
+ */
+function execute() {
+    var swConfig = require('*/cartridge/scripts/helpers/swConfig');
+    var swCacheRegistry = require('*/cartridge/scripts/helpers/swCacheRegistry');
+    var registrations = [];
+    var errors = [];
+    var invalid = 0;
+
+    getControllerNames().forEach(function (name) {
+        collectRegistrations(name).forEach(function (registration) {
+            var ruleErrors = swConfig.validateRule(registration.rule, registration.type === swCacheRegistry.types.PART);
+
+            if (ruleErrors.length) {
+                errors = errors.concat(ruleErrors);
+                invalid++;
+            } else {
+                registrations.push(registration);
+            }
+        });
+    });
+
+    swCacheRegistry.store(registrations);
+
+    if (errors.length) {
+        Logger.error('Service worker rules not registered:\n{0}', errors.join('\n'));
+        return new Status(Status.ERROR, 'INVALID_RULES', invalid + ' invalid service worker rules');
+    }
+
+    return new Status(Status.OK, 'OK', registrations.length + ' service worker rules registered');
+}
+
+module.exports = {
+    execute: execute
+};
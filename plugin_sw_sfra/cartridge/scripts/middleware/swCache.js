@@ -0,0 +1,112 @@
+'use strict';
+
+var swCacheRegistry = require('*/cartridge/scripts/helpers/swCacheRegistry');
+
+var NO_STORE_HEADER = 'X-SW-NoStore';
+var RULE_OPTIONS = ['maxAge', 'strategy', 'keyDimensions', 'fallback', 'fallbackSnippet', 'timeout', 'honorCacheHeaders'];
+
+/**
+ * Builds a cache rule from the middleware options, leaving out options that are not set
+ * so that they do not override defaults or Business Manager values when rules are merged.
+ * @param {Object} options - Middleware options
+ * @param {string} action - The Controller-Action serving the rule
+ * @returns {Object} The cache rule
+ */
+function buildRule(options, action) {
+    var rule = {
+        action: options.action || action,
+        cacheSuffix: options.suffix
+    };
+
+    RULE_OPTIONS.forEach(function (name) {
+        if (options[name] !== undefined) {
+            rule[name] = options[name];
+        }
+    });
+    if (options.invalidateOn) {
+        rule.invalidateOn = options.invalidateOn;
+    }
+
+    return rule;
+}
+
+/**
+ * Builds a middleware that declares a cache rule. The middleware itself only passes the request on;
+ * the rule is attached to it as `swCacheRule` and stored by the RegisterCacheRules job step
+ * (scripts/jobs/swCacheRegistry.js), which reads it from the controller's routes. Nothing is
+ * written while the storefront serves requests.
+ * @param {string} type - One of `swCacheRegistry.types`
+ * @param {Function} build - Builds the rule from the Controller-Action of the route
+ * @returns {Function} Middleware
+ */
+function declare(type, build) {
+    var middleware = function (req, res, next) {
+        next();
+    };
+
+    middleware.swCacheRule = {
+        type: type,
+        build: build
+    };
+
+    return middleware;
+}
+
+/**
+ * Builds a middleware that registers the route as a cached page part (e.g. a header or footer
+ * rendered through a remote include). The part is referenced in templates with
+ * `<isswpart suffix="..."/>` (see components/serviceWorker/modules.isml), which renders the
+ * placeholder `$sw<suffix>$` when the service worker sends the skip parameter `sw_skip<suffix>`.
+ * With a `parameter`, the part takes an argument (`<isswpart suffix="..." argument="..."/>`), rendered
+ * as `$sw<suffix>:<argument>$` and passed back to the route in that query parameter.
+ * Parts are registered by the RegisterCacheRules job step and picked up by `swConfig.getInitConfig`.
+ * @param {Object} options - `{ suffix, parameter, invalidateOn, maxAge, strategy, keyDimensions, fallback, fallbackSnippet,
+ * timeout, honorCacheHeaders }`;
+ * see swConfig.js for their meaning. `suffix` is required.
+ * @returns {Function} Middleware
+ */
+function part(options) {
+    return declare(swCacheRegistry.types.PART, function (action) {
+        var rule = buildRule(options, action);
+
+        rule.placeholder = '$sw' + options.suffix + (options.parameter ? ':' : '$');
+        rule.skipParameter = 'sw_skip' + options.suffix;
+        if (options.parameter) {
+            rule.parameter = options.parameter;
+        }
+
+        return rule;
+    });
+}
+
+/**
+ * Builds a middleware that registers the route as a cached backend request (e.g. the minicart).
+ * Requests are registered by the RegisterCacheRules job step and picked up by `swConfig.getInitConfig`.
+ * @param {Object} options - `{ suffix, invalidateOn, maxAge, strategy, keyDimensions, honorCacheHeaders }`; see swConfig.js
+ * for their meaning. `suffix` is required.
+ * @returns {Function} Middleware
+ */
+function url(options) {
+    return declare(swCacheRegistry.types.URL, function (action) {
+        return buildRule(options, action);
+    });
+}
+
+/**
+ * Middleware that marks the response with the `X-SW-NoStore` header, so the service worker never
+ * stores it, whatever rule matches it. Use it on routes that set cookies or render session state
+ * (e.g. CSRF tokens): browsers hide `Set-Cookie` from the service worker, so it cannot tell by itself.
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Function} next - Next call in the middleware chain
+ */
+function noStore(req, res, next) {
+    res.setHttpHeader(NO_STORE_HEADER, 'true');
+    next();
+}
+
+module.exports = {
+    part: part,
+    url: url,
+    noStore: noStore
+};
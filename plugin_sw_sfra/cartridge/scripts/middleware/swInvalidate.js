@@ -0,0 +1,60 @@
+'use strict';
+
+var HEADER_NAME = 'X-SW-Invalidate';
+var SCOPE_ALL = 'scope=all';
+
+/**
+ * Adds cache suffixes to the `X-SW-Invalidate` response header. The service worker evicts the
+ * matching entries when it sees the response: for the site and locale of the response by default,
+ * or for all sites and locales when `allSites` is set.
+ * Can be called several times during a request; the suffixes are merged into one header.
+ * The header travels with the response, so do not use it on responses served from the page cache.
+ * @param {Object} res - Response object
+ * @param {Array} suffixes - Cache suffixes to evict, e.g. `['MiniCartShow']`
+ * @param {boolean} [allSites] - Evict the entries of all sites and locales
+ * @returns {void}
+ */
+function addSuffixes(res, suffixes, allSites) {
+    var pending = res.swInvalidate || { suffixes: [], allSites: false };
+
+    suffixes.forEach(function (suffix) {
+        if (pending.suffixes.indexOf(suffix) === -1) {
+            pending.suffixes.push(suffix);
+        }
+    });
+    pending.allSites = pending.allSites || !!allSites;
+    res.swInvalidate = pending;
+
+    res.setHttpHeader(HEADER_NAME, pending.suffixes.join(', ') + (pending.allSites ? '; ' + SCOPE_ALL : ''));
+}
+
+/**
+ * Builds a middleware that invalidates the given cache suffixes for the current site and locale.
+ * @param {Array} suffixes - Cache suffixes to evict
+ * @returns {Function} Middleware
+ */
+function invalidate(suffixes) {
+    return function (req, res, next) {
+        addSuffixes(res, suffixes, false);
+        next();
+    };
+}
+
+/**
+ * Builds a middleware that invalidates the given cache suffixes for all sites and locales.
+ * @param {Array} suffixes - Cache suffixes to evict
+ * @returns {Function} Middleware
+ */
+function invalidateAll(suffixes) {
+    return function (req, res, next) {
+        addSuffixes(res, suffixes, true);
+        next();
+    };
+}
+
+module.exports = {
+    HEADER_NAME: HEADER_NAME,
+    addSuffixes: addSuffixes,
+    invalidate: invalidate,
+    invalidateAll: invalidateAll
+};